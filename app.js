@@ -0,0 +1,226 @@
+const express = require("express");
+const cors = require("cors");
+const { createMailer } = require("./mailer");
+const { createLogger } = require("./lib/logger");
+const { rateLimitsFromEnv, createMemoryStore } = require("./lib/rateLimits");
+const { IMPORT_BODY_LIMIT } = require("./lib/csv");
+const { createAuth } = require("./middleware/auth");
+const { createRateLimits } = require("./middleware/rateLimit");
+const { securityHeaders } = require("./middleware/security");
+const {
+  requestLogger,
+  notFound,
+  errorHandler,
+} = require("./middleware/errors");
+const { createServices } = require("./services");
+const { createUsersRouter } = require("./routes/users");
+const { createBillingRouter } = require("./routes/billing");
+const { createAssetsRouter } = require("./routes/assets");
+const { createRequestsRouter } = require("./routes/requests");
+const { createEmployeesRouter } = require("./routes/employees");
+const { createNotificationsRouter } = require("./routes/notifications");
+const { createReportsRouter } = require("./routes/reports");
+const { createDocsRouter } = require("./routes/docs");
+
+// TRUST_PROXY as Express takes it: a hop count (1 behind Vercel), true,
+// or proxy addresses. Rate limits count by the client IP it resolves.
+const toTrustProxy = (value) => {
+  if (!value) return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value === "true" ? true : value;
+};
+
+// Build the API around its dependencies so it runs against any database,
+// auth provider and payment client (the tests use in-memory ones).
+//   collections    users, assets, requests, assignedAssets, employeeAffiliations,
+//                  packages, payments, auditLogs, notifications,
+//                  stockAdjustments and companies
+//   startSession   starts a MongoClient session for transactions
+//   verifyIdToken  resolves a bearer token to its claims ({ email })
+//   stripe         Stripe client, checkout.sessions and webhooks are used
+//   mailer         see mailer.js, email is off unless one is passed
+//   logger         see lib/logger.js, JSON lines on stdout by default
+//   rateLimits     overrides of lib/rateLimits.js, false turns one off
+//   rateLimitStore counters of the rate limits, in memory by default
+//   bodyLimit      largest JSON body accepted
+//   trustProxy     see toTrustProxy
+// Every route is registered before this returns, so the app serves requests
+// (and answers /ready) while prepareDatabase is still running.
+const createApp = ({
+  collections,
+  startSession,
+  verifyIdToken,
+  stripe,
+  mailer = createMailer({ transport: null }),
+  stripeWebhookSecret = process.env.STRIPE_WEBHOOK_SECRET,
+  logger = createLogger(),
+  rateLimits = rateLimitsFromEnv(),
+  rateLimitStore = createMemoryStore(),
+  bodyLimit = process.env.BODY_LIMIT || "100kb",
+  trustProxy = process.env.TRUST_PROXY,
+}) => {
+  const {
+    users: usersCollection,
+    employeeAffiliations: employeeAffiliationsCollection,
+    payments: paymentsCollection,
+    auditLogs: auditLogsCollection,
+    notifications: notificationsCollection,
+    stockAdjustments: stockAdjustmentsCollection,
+    companies: companiesCollection,
+  } = collections;
+
+  const limits = createRateLimits({
+    limits: rateLimits,
+    store: rateLimitStore,
+    logger,
+  });
+
+  const app = express();
+  app.set("trust proxy", toTrustProxy(trustProxy));
+  app.disable("x-powered-by");
+  // middleware
+  app.use(requestLogger(logger));
+  app.use(securityHeaders);
+  app.use(
+    cors({
+      origin: [
+        process.env.CLIENT_DOMAIN ||
+          "https://asset-managment-byzia.netlify.app",
+        "http://localhost:5173",
+        "http://localhost:5174",
+      ],
+      credentials: true,
+      optionSuccessStatus: 200,
+      // readable by the client, a 429 tells it when to try again
+      exposedHeaders: [
+        "Retry-After",
+        "RateLimit-Limit",
+        "RateLimit-Remaining",
+        "RateLimit-Reset",
+        "X-Request-Id",
+      ],
+    })
+  );
+  // after cors, so 429s carry its headers and preflights (answered by
+  // cors) are not counted, before the token check, so floods never reach
+  // Firebase or the database
+  app.use(limits.ip);
+  // JSON imports get the limit of CSV imports, a parsed body is not parsed again
+  app.use("/assets/import", express.json({ limit: IMPORT_BODY_LIMIT }));
+  // keep the raw body around for Stripe webhook signature checks
+  app.use(
+    express.json({
+      limit: bodyLimit,
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  const services = createServices({
+    collections,
+    startSession,
+    mailer,
+    logger,
+  });
+  const context = {
+    collections,
+    services,
+    auth: createAuth({
+      collections,
+      verifyIdToken,
+      logger,
+      limitUser: limits.user,
+    }),
+    rateLimits: limits,
+    startSession,
+    stripe,
+    stripeWebhookSecret,
+    mailer,
+  };
+
+  app.use(createUsersRouter(context));
+  app.use(createBillingRouter(context));
+  app.use(createAssetsRouter(context));
+  app.use(createRequestsRouter(context));
+  app.use(createEmployeesRouter(context));
+  app.use(createNotificationsRouter(context));
+  app.use(createReportsRouter(context));
+  app.use(createDocsRouter());
+
+  app.get("/", (req, res) => {
+    res.send("Hello Asset managment...");
+  });
+
+  // Readiness check for the platform, 503 until prepareDatabase has finished
+  let ready = false;
+  app.get("/ready", (req, res) => {
+    if (!ready) {
+      return res.status(503).send({ status: "starting" });
+    }
+    res.send({ status: "ready" });
+  });
+
+  // every error, thrown or passed to next, ends here
+  app.use(notFound);
+  app.use(errorHandler(logger));
+
+  // Indexes and data migrations, run once the database is reachable.
+  // The app reports ready once they are done.
+  const prepareDatabase = async () => {
+    await auditLogsCollection.createIndex({ hrEmail: 1, createdAt: -1 });
+    await employeeAffiliationsCollection.createIndex({ inviteTokenHash: 1 });
+    await notificationsCollection.createIndex({
+      recipientEmail: 1,
+      read: 1,
+      createdAt: -1,
+    });
+    await stockAdjustmentsCollection.createIndex({ assetId: 1, createdAt: -1 });
+
+    // affiliations offboarded before the pending/active/removed states existed
+    await employeeAffiliationsCollection.updateMany(
+      { status: "inactive" },
+      { $set: { status: "removed", removalReason: "offboarded" } }
+    );
+    await companiesCollection.createIndex({ hrEmail: 1 }, { unique: true });
+
+    // HRs and affiliations from before companies had their own documents
+    const hrsWithoutCompany = await usersCollection
+      .find({ role: "hr", companyId: { $exists: false } })
+      .toArray();
+    for (const hr of hrsWithoutCompany) {
+      await services.ensureCompany(hr);
+    }
+
+    const unlinkedHrEmails = await employeeAffiliationsCollection.distinct(
+      "hrEmail",
+      { companyId: { $exists: false } }
+    );
+    for (const hrEmail of unlinkedHrEmails) {
+      const company = await companiesCollection.findOne({ hrEmail });
+      if (!company) continue;
+      await employeeAffiliationsCollection.updateMany(
+        { hrEmail, companyId: { $exists: false } },
+        { $set: { companyId: company._id.toString() } }
+      );
+    }
+
+    // Payments recorded before webhook fulfillment may share a transitionId.
+    // The index is created last so those never hold back the migrations
+    // above or readiness, they have to be cleaned up by hand.
+    try {
+      await paymentsCollection.createIndex(
+        { transitionId: 1 },
+        { unique: true }
+      );
+    } catch (error) {
+      logger.error("Unique payments index could not be created", { error });
+    }
+
+    ready = true;
+  };
+
+  return { app, prepareDatabase };
+};
+
+module.exports = { createApp };
@@ -0,0 +1,894 @@
+const {
+  userSchema,
+  assetSchema,
+  stockAdjustmentSchema,
+  packageSchema,
+} = require("./schemas");
+const {
+  ASSIGNMENT_STATUSES,
+  RETURN_CONDITIONS,
+  REQUEST_STATUSES,
+} = require("./model");
+const { MAX_IMPORT_ROWS } = require("./csv");
+const { MAX_BIRTHDAY_DAYS } = require("./directory");
+
+// What the routes do and answer, for the OpenAPI document (lib/openapi.js).
+// Request bodies, path params and auth are read from the routes themselves,
+// every field here uses the schema format of lib/schemas.js.
+
+const id = { type: "objectId" };
+const text = { type: "string" };
+const email = { type: "email" };
+const url = { type: "url" };
+const integer = { type: "integer" };
+const boolean = { type: "boolean" };
+const timestamp = { type: "timestamp" };
+const nullable = (field) => ({ ...field, nullable: true });
+const ref = (name) => ({ ref: name });
+const listOf = (name) => ({ type: "array", items: ref(name) });
+
+// Response schemas, named in components.schemas
+const schemas = {
+  FieldError: { field: text, message: text },
+  Error: {
+    message: { type: "string", required: true },
+    code: {
+      type: "string",
+      required: true,
+      description:
+        "VALIDATION_FAILED, UNAUTHORIZED, FORBIDDEN, NOT_FOUND, CONFLICT, GONE, PAYLOAD_TOO_LARGE, RATE_LIMITED, UPSTREAM_PAYMENT, INTERNAL or REQUEST_FAILED (any other client error)",
+    },
+    requestId: {
+      type: "string",
+      required: true,
+      description: "Same as the X-Request-Id response header",
+    },
+    errors: {
+      ...listOf("FieldError"),
+      description: "Only on VALIDATION_FAILED",
+    },
+  },
+  InsertResult: { acknowledged: boolean, insertedId: id },
+  UpdateResult: {
+    acknowledged: boolean,
+    matchedCount: integer,
+    modifiedCount: integer,
+    upsertedCount: integer,
+    upsertedId: nullable(id),
+  },
+  DeleteResult: { acknowledged: boolean, deletedCount: integer },
+
+  User: {
+    _id: id,
+    ...userSchema,
+    packageLimit: { ...integer, description: "HR only, total seats" },
+    currentEmployees: { ...integer, description: "HR only, used seats" },
+    companyId: { ...id, description: "HR only" },
+    createdAt: timestamp,
+  },
+  Role: { role: { type: "string", enum: ["employee", "hr", "admin"] } },
+
+  Asset: {
+    _id: id,
+    ...assetSchema,
+    availableQuantity: integer,
+    writtenOffQuantity: integer,
+    hrEmail: email,
+    companyName: text,
+    dateAdded: timestamp,
+    archivedAt: nullable(timestamp),
+    archivedBy: nullable(email),
+  },
+  AssetList: { assets: listOf("Asset"), total: integer },
+  StockLevels: {
+    productQuantity: integer,
+    availableQuantity: integer,
+    writtenOffQuantity: integer,
+  },
+  StockAdjustment: {
+    _id: id,
+    assetId: id,
+    hrEmail: email,
+    type: { type: "string", enum: stockAdjustmentSchema.type.enum },
+    quantity: integer,
+    reason: text,
+    actor: email,
+    assignedAssetId: nullable(id),
+    before: ref("StockLevels"),
+    after: ref("StockLevels"),
+    createdAt: timestamp,
+  },
+  StockHistory: {
+    stock: {
+      type: "object",
+      schema: {
+        total: integer,
+        assigned: integer,
+        writtenOff: integer,
+        available: integer,
+        consistent: {
+          ...boolean,
+          description: "available = total - assigned - writtenOff",
+        },
+      },
+    },
+    adjustments: listOf("StockAdjustment"),
+    total: integer,
+  },
+  ImportSummary: {
+    dryRun: boolean,
+    total: integer,
+    valid: integer,
+    invalid: integer,
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        schema: { row: integer, errors: listOf("FieldError") },
+      },
+    },
+    inserted: integer,
+  },
+  ArchiveSummary: {
+    assetId: id,
+    archivedAt: timestamp,
+    outstanding: integer,
+    requestsCancelled: integer,
+  },
+
+  AssignedAsset: {
+    _id: id,
+    assetId: id,
+    assetName: text,
+    assetImage: url,
+    assetType: text,
+    employeeEmail: email,
+    employeeName: text,
+    hrEmail: email,
+    companyName: text,
+    requestId: nullable(id),
+    assignmentDate: timestamp,
+    status: { type: "string", enum: ASSIGNMENT_STATUSES },
+    returnRequestDate: timestamp,
+    returnCondition: { type: "string", enum: RETURN_CONDITIONS },
+    returnNote: text,
+    returnDate: nullable(timestamp),
+    returnConfirmedBy: email,
+  },
+  AssetRequest: {
+    _id: id,
+    assetId: id,
+    assetName: text,
+    assetImage: url,
+    assetType: text,
+    requesterName: text,
+    requesterEmail: email,
+    hrEmail: email,
+    companyName: text,
+    note: text,
+    requestStatus: { type: "string", enum: REQUEST_STATUSES },
+    requestDate: timestamp,
+    approvalDate: nullable(timestamp),
+    rejectionDate: timestamp,
+    cancelledDate: timestamp,
+    cancellationReason: text,
+    returnedDate: timestamp,
+  },
+  RequestList: { requests: listOf("AssetRequest"), total: integer },
+
+  Package: {
+    _id: id,
+    ...packageSchema,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  },
+  Seats: { packageLimit: integer, used: integer, remaining: integer },
+  CheckoutSession: { url: { ...url, description: "Stripe Checkout page" } },
+  PaymentStatus: {
+    transitionId: { ...text, description: "Stripe payment intent" },
+    orderId: id,
+    status: {
+      type: "string",
+      enum: ["pending", "processing", "completed", "refunded", "disputed"],
+    },
+  },
+  Payment: {
+    _id: id,
+    hrEmail: email,
+    packageId: id,
+    packageName: text,
+    transitionId: text,
+    sessionId: text,
+    amount: { type: "number" },
+    employeeLimit: integer,
+    paymentDate: timestamp,
+    status: { type: "string", enum: ["completed", "refunded", "disputed"] },
+    reversedDate: nullable(timestamp),
+  },
+
+  Affiliation: {
+    _id: id,
+    employeeName: text,
+    employeeEmail: email,
+    companyId: id,
+    companyName: text,
+    companyLogo: url,
+    hrEmail: email,
+    status: { type: "string", enum: ["pending", "active", "removed"] },
+    source: { type: "string", enum: ["invitation", "join-request"] },
+    invitedDate: timestamp,
+    inviteExpiresAt: timestamp,
+    requestedDate: timestamp,
+    affiliationDate: timestamp,
+    removedDate: timestamp,
+    removalReason: {
+      type: "string",
+      enum: ["offboarded", "revoked", "declined", "rejected"],
+    },
+  },
+  Invitation: {
+    invitationId: id,
+    employeeEmail: email,
+    token: { ...text, description: "Only returned here, stored hashed" },
+    expiresAt: timestamp,
+  },
+  Employee: { name: text, email, image: url, assetCount: integer },
+  OffboardSummary: {
+    employeeEmail: email,
+    affiliationStatus: { type: "string", enum: ["removed"] },
+    returnsStarted: integer,
+    requestsCancelled: integer,
+    seatsFreed: integer,
+  },
+  DirectoryEntry: {
+    name: text,
+    position: text,
+    email: { ...email, description: "Hidden by privacy.showEmail" },
+    photo: { ...url, description: "Hidden by privacy.showPhoto" },
+    birthday: {
+      ...text,
+      description:
+        "YYYY-MM-DD, or MM-DD without privacy.showBirthYear, hidden by privacy.showBirthday",
+    },
+  },
+  Directory: { members: listOf("DirectoryEntry"), total: integer },
+  Birthday: {
+    name: text,
+    position: text,
+    email,
+    photo: url,
+    birthday: text,
+    date: { type: "date", description: "Next occurrence" },
+    daysUntil: integer,
+  },
+  CompanyMembership: { companyId: id, companyName: text, companyLogo: url },
+  Company: {
+    companyId: id,
+    companyName: text,
+    companyLogo: nullable(url),
+  },
+
+  Notification: {
+    _id: id,
+    recipientEmail: email,
+    type: { ...text, description: "For example request.approved" },
+    title: text,
+    message: text,
+    data: { type: "object" },
+    read: boolean,
+    readAt: timestamp,
+    createdAt: timestamp,
+  },
+  NotificationList: {
+    notifications: listOf("Notification"),
+    total: integer,
+  },
+  UnreadCount: { count: integer },
+
+  AssetTypeStats: {
+    type: { type: "string", enum: ["returnable", "non-returnable"] },
+    assets: integer,
+    totalQuantity: integer,
+    availableQuantity: integer,
+    assigned: integer,
+  },
+  TopRequestedAsset: { assetId: id, assetName: text, requests: integer },
+  RequestVolume: {
+    period: { ...timestamp, description: "Start of the interval" },
+    total: integer,
+    approved: integer,
+    rejected: integer,
+    pending: integer,
+    cancelled: integer,
+    approvalRate: nullable({ type: "number" }),
+  },
+  ApprovalTime: {
+    approvedRequests: integer,
+    averageHours: nullable({ type: "number" }),
+    minHours: nullable({ type: "number" }),
+    maxHours: nullable({ type: "number" }),
+  },
+  LowStockAsset: {
+    _id: id,
+    productName: text,
+    productType: text,
+    productQuantity: integer,
+    availableQuantity: integer,
+  },
+  PackageUsage: {
+    currentEmployees: integer,
+    packageLimit: integer,
+    activeEmployees: integer,
+    remaining: integer,
+  },
+  AuditLogEntry: {
+    _id: id,
+    actor: email,
+    action: { ...text, description: "For example asset.update" },
+    targetType: text,
+    targetId: text,
+    hrEmail: nullable(email),
+    before: nullable({ type: "any" }),
+    after: nullable({ type: "any" }),
+    createdAt: timestamp,
+  },
+  AuditLog: { logs: listOf("AuditLogEntry"), total: integer },
+  Readiness: { status: { type: "string", enum: ["starting", "ready"] } },
+};
+
+// Shared query strings
+const page = {
+  limit: { type: "integer", min: 0, description: "Page size, 0 for all" },
+  skip: { type: "integer", min: 0 },
+};
+const dateRange = {
+  from: { type: "date", description: "Inclusive start" },
+  to: { type: "date", description: "Inclusive end" },
+};
+const assetListQuery = {
+  search: { ...text, description: "Case-insensitive product name search" },
+  type: { type: "string", enum: ["returnable", "non-returnable"] },
+  available: { ...boolean, description: "Only assets with units available" },
+  addedFrom: { type: "date" },
+  addedTo: { type: "date" },
+  archived: { ...boolean, description: "List archived assets instead" },
+  sortBy: {
+    type: "string",
+    enum: [
+      "productName",
+      "productType",
+      "productQuantity",
+      "availableQuantity",
+      "dateAdded",
+    ],
+    default: "dateAdded",
+  },
+  order: { type: "string", enum: ["asc", "desc"], default: "desc" },
+  ...page,
+};
+const companyFilter = {
+  companyId: { ...id, description: "Only this company" },
+};
+const csv = { type: "string", description: "CSV with a header row" };
+
+// Keyed by "METHOD /express/path". Every registered route needs an entry,
+// test/docs.test.js checks both ways.
+//   tag, summary, description
+//   query, headers    parameters, as fields
+//   body              { mediaType: field } for routes without validateBody
+//   status, response  success status (200) and its body, responseType (JSON)
+//   errors            statuses beyond the 400/401/403 read from the route
+const routeDocs = {
+  "GET /": {
+    tag: "Health",
+    summary: "Greeting",
+    response: text,
+    responseType: "text/html",
+  },
+  "GET /ready": {
+    tag: "Health",
+    summary: "Readiness",
+    description: "503 until indexes and migrations are done.",
+    response: ref("Readiness"),
+  },
+  "GET /openapi.json": {
+    tag: "Health",
+    summary: "This OpenAPI document",
+    response: { type: "object" },
+  },
+  "GET /docs": {
+    tag: "Health",
+    summary: "Interactive API docs",
+    response: text,
+    responseType: "text/html",
+  },
+  "GET /docs/init.js": {
+    tag: "Health",
+    summary: "Script of the docs page",
+    response: text,
+    responseType: "text/javascript",
+  },
+
+  "POST /users": {
+    tag: "Users",
+    summary: "Sign up",
+    description:
+      "companyName is required for HR accounts, whose company is created with them.",
+    status: 201,
+    response: ref("InsertResult"),
+    errors: [409],
+  },
+  "GET /users": {
+    tag: "Users",
+    summary: "The caller's profile",
+    response: ref("User"),
+  },
+  "GET /users/:email": {
+    tag: "Users",
+    summary: "Profile by email",
+    response: ref("User"),
+    errors: [404],
+  },
+  "GET /user/role": {
+    tag: "Users",
+    summary: "The caller's role",
+    response: ref("Role"),
+  },
+  "PATCH /user": {
+    tag: "Users",
+    summary: "Update the caller's profile",
+    description:
+      "privacy settings are merged, one switch can change at a time.",
+    response: ref("UpdateResult"),
+    errors: [404],
+  },
+
+  "GET /packages": {
+    tag: "Billing",
+    summary: "Packages for sale, cheapest first",
+    response: listOf("Package"),
+  },
+  "GET /seats": {
+    tag: "Billing",
+    summary: "Used and remaining seats",
+    response: ref("Seats"),
+  },
+  "GET /admin/packages": {
+    tag: "Billing",
+    summary: "Whole package catalog",
+    response: listOf("Package"),
+  },
+  "POST /admin/packages": {
+    tag: "Billing",
+    summary: "Add a package",
+    status: 201,
+    response: ref("InsertResult"),
+  },
+  "PATCH /admin/packages/:id": {
+    tag: "Billing",
+    summary: "Edit a package",
+    description: "Set active to false to stop selling it.",
+    response: ref("UpdateResult"),
+    errors: [404],
+  },
+  "DELETE /admin/packages/:id": {
+    tag: "Billing",
+    summary: "Remove a package",
+    response: ref("DeleteResult"),
+    errors: [404],
+  },
+  "POST /create-checkout-session": {
+    tag: "Billing",
+    summary: "Start a Stripe checkout",
+    description:
+      "Price and seats always come from the catalog package, other fields are ignored.",
+    response: ref("CheckoutSession"),
+    errors: [404, 409, 502],
+  },
+  "POST /stripe/webhook": {
+    tag: "Billing",
+    summary: "Stripe events",
+    description:
+      "Called by Stripe. Fulfils paid checkouts, reverses refunds and lost disputes.",
+    headers: { "stripe-signature": { type: "string", required: true } },
+    body: { "application/json": { type: "object" } },
+    response: { type: "object", schema: { received: boolean } },
+  },
+  "POST /payment-success": {
+    tag: "Billing",
+    summary: "Status of a checkout session",
+    description: "Fulfilment happens in the webhook, this only reports it.",
+    response: ref("PaymentStatus"),
+    errors: [404, 502],
+  },
+  "GET /payments/:email": {
+    tag: "Billing",
+    summary: "Payment history",
+    response: listOf("Payment"),
+  },
+
+  "GET /assets": {
+    tag: "Assets",
+    summary: "Assets the caller can see",
+    description:
+      "HRs get their own company's assets, employees those of their companies.",
+    query: { ...assetListQuery, ...companyFilter },
+    response: ref("AssetList"),
+    errors: [400, 403, 404],
+  },
+  "GET /company-assets/:email": {
+    tag: "Assets",
+    summary: "The HR's company assets",
+    query: assetListQuery,
+    response: ref("AssetList"),
+  },
+  "GET /my-assets/:email": {
+    tag: "Assets",
+    summary: "Assets assigned to the caller",
+    query: {
+      status: { type: "string", enum: ASSIGNMENT_STATUSES },
+      ...companyFilter,
+    },
+    response: listOf("AssignedAsset"),
+    errors: [404],
+  },
+  "PATCH /assets/:id": {
+    tag: "Assets",
+    summary: "Edit an asset",
+    description: "Quantities only change through stock adjustments.",
+    response: ref("UpdateResult"),
+    errors: [404],
+  },
+  "PATCH /assign-asset/:id": {
+    tag: "Assets",
+    summary: "Removed",
+    description: "Use POST /assets/{id}/stock-adjustments.",
+    errors: [410],
+  },
+  "POST /assets/:id/stock-adjustments": {
+    tag: "Assets",
+    summary: "Restock or write off units",
+    status: 201,
+    response: ref("StockAdjustment"),
+    errors: [404, 409],
+  },
+  "GET /assets/:id/stock-history": {
+    tag: "Assets",
+    summary: "Stock adjustments with an invariant check",
+    query: page,
+    response: ref("StockHistory"),
+    errors: [404],
+  },
+  "POST /assets": {
+    tag: "Assets",
+    summary: "Add an asset",
+    response: ref("InsertResult"),
+  },
+  "POST /assets/import": {
+    tag: "Assets",
+    summary: "Bulk import assets",
+    description: `At most ${MAX_IMPORT_ROWS} rows and 1 MB, invalid rows are reported and skipped. Columns of the asset export that the server sets itself (_id, availableQuantity, ...) are ignored.`,
+    query: {
+      dryRun: { ...boolean, description: "Only validate the rows" },
+    },
+    body: {
+      "text/csv": csv,
+      "application/json": {
+        type: "array",
+        items: { type: "object", schema: assetSchema },
+        maxItems: MAX_IMPORT_ROWS,
+      },
+    },
+    status: 201,
+    responseDescription: "Imported, 200 on a dry run or without valid rows",
+    response: ref("ImportSummary"),
+    errors: [400],
+  },
+  "DELETE /asset/:id": {
+    tag: "Assets",
+    summary: "Archive an asset",
+    description: "Pending requests for it are cancelled.",
+    query: {
+      force: {
+        ...boolean,
+        description: "Archive even while units are assigned",
+      },
+    },
+    response: ref("ArchiveSummary"),
+    errors: [404, 409],
+  },
+  "PATCH /assets/:id/restore": {
+    tag: "Assets",
+    summary: "Restore an archived asset",
+    response: ref("UpdateResult"),
+    errors: [404, 409],
+  },
+  "GET /export/company-assets": {
+    tag: "Assets",
+    summary: "Export assets as CSV",
+    response: csv,
+    responseType: "text/csv",
+  },
+  "GET /export/assigned-assets": {
+    tag: "Assets",
+    summary: "Export assignments as CSV",
+    response: csv,
+    responseType: "text/csv",
+  },
+
+  "POST /assigned-assets": {
+    tag: "Requests",
+    summary: "Assign an asset directly",
+    status: 201,
+    response: ref("InsertResult"),
+    errors: [404, 409],
+  },
+  "POST /asset-requests": {
+    tag: "Requests",
+    summary: "Request an asset",
+    status: 201,
+    response: ref("InsertResult"),
+    errors: [404, 409],
+  },
+  "GET /my-requests": {
+    tag: "Requests",
+    summary: "The caller's requests",
+    query: {
+      status: { type: "string", enum: REQUEST_STATUSES },
+      ...companyFilter,
+      ...page,
+    },
+    response: ref("RequestList"),
+    errors: [400, 404],
+  },
+  "DELETE /my-requests/:id": {
+    tag: "Requests",
+    summary: "Cancel a pending request",
+    response: ref("UpdateResult"),
+    errors: [404, 409],
+  },
+  "GET /asset-requests/:email": {
+    tag: "Requests",
+    summary: "Requests to the HR's company",
+    query: page,
+    response: ref("RequestList"),
+  },
+  "PATCH /approve-employee-requests/:id": {
+    tag: "Requests",
+    summary: "Approve a request",
+    description: "Assigns a unit of the asset to the requester.",
+    response: ref("UpdateResult"),
+    errors: [404, 409],
+  },
+  "PATCH /reject-employee-requests/:id": {
+    tag: "Requests",
+    summary: "Reject a request",
+    response: ref("UpdateResult"),
+    errors: [404, 409],
+  },
+  "PATCH /return-asset/:id": {
+    tag: "Requests",
+    summary: "Ask to return an assigned asset",
+    response: ref("UpdateResult"),
+    errors: [404, 409],
+  },
+  "PATCH /confirm-asset-return/:id": {
+    tag: "Requests",
+    summary: "Confirm a return",
+    description:
+      "Good units go back into stock, damaged and lost ones are written off.",
+    response: ref("UpdateResult"),
+    errors: [404, 409],
+  },
+
+  "GET /my-employees/:email": {
+    tag: "Team",
+    summary: "The HR's employees with their asset counts",
+    response: listOf("Employee"),
+  },
+  "DELETE /my-employees/:email": {
+    tag: "Team",
+    summary: "Offboard an employee",
+    description: "Starts returns, cancels pending requests and frees the seat.",
+    response: ref("OffboardSummary"),
+    errors: [404],
+  },
+  "GET /my-team/:companyId": {
+    tag: "Team",
+    summary: "Members of a company",
+    response: listOf("DirectoryEntry"),
+    errors: [404],
+  },
+  "GET /my-team/:companyId/directory": {
+    tag: "Team",
+    summary: "Searchable team directory",
+    query: {
+      search: { ...text, description: "Case-insensitive name search" },
+      ...page,
+    },
+    response: ref("Directory"),
+    errors: [403, 404],
+  },
+  "GET /my-team/:companyId/birthdays": {
+    tag: "Team",
+    summary: "Upcoming birthdays",
+    query: {
+      days: {
+        type: "integer",
+        min: 0,
+        max: MAX_BIRTHDAY_DAYS,
+        description: "Today and the next days instead of this month",
+      },
+    },
+    response: listOf("Birthday"),
+    errors: [403, 404],
+  },
+  "GET /my-companies/:email": {
+    tag: "Team",
+    summary: "Companies the caller belongs to",
+    response: listOf("CompanyMembership"),
+  },
+  "GET /companies": {
+    tag: "Team",
+    summary: "Companies to ask to join",
+    response: listOf("Company"),
+  },
+  "POST /invitations": {
+    tag: "Team",
+    summary: "Invite an employee",
+    description: "Needs a free seat, re-inviting renews the invitation.",
+    status: 201,
+    response: ref("Invitation"),
+    errors: [409],
+  },
+  "GET /invitations": {
+    tag: "Team",
+    summary: "Open invitations of the HR",
+    response: listOf("Affiliation"),
+  },
+  "DELETE /invitations/:id": {
+    tag: "Team",
+    summary: "Revoke an invitation",
+    response: ref("UpdateResult"),
+    errors: [404, 409],
+  },
+  "GET /my-invitations": {
+    tag: "Team",
+    summary: "Invitations to the caller",
+    response: listOf("Affiliation"),
+  },
+  "PATCH /invitations/accept": {
+    tag: "Team",
+    summary: "Accept an invitation",
+    description: "Send the emailed token or the invitationId.",
+    response: ref("UpdateResult"),
+    errors: [404, 409, 410],
+  },
+  "PATCH /invitations/decline": {
+    tag: "Team",
+    summary: "Decline an invitation",
+    description: "Send the emailed token or the invitationId.",
+    response: ref("UpdateResult"),
+    errors: [404, 409, 410],
+  },
+  "POST /join-requests": {
+    tag: "Team",
+    summary: "Ask to join a company",
+    description:
+      "Send companyId, hrEmail is still accepted from older clients.",
+    status: 201,
+    response: ref("Affiliation"),
+    errors: [404, 409],
+  },
+  "GET /join-requests": {
+    tag: "Team",
+    summary: "Join requests to the HR's company",
+    response: listOf("Affiliation"),
+  },
+  "PATCH /join-requests/:id/approve": {
+    tag: "Team",
+    summary: "Approve a join request",
+    response: ref("UpdateResult"),
+    errors: [404, 409],
+  },
+  "PATCH /join-requests/:id/reject": {
+    tag: "Team",
+    summary: "Reject a join request",
+    response: ref("UpdateResult"),
+    errors: [404, 409],
+  },
+
+  "GET /notifications": {
+    tag: "Notifications",
+    summary: "The caller's notifications",
+    query: {
+      unread: { ...boolean, description: "Only unread ones" },
+      ...page,
+    },
+    response: ref("NotificationList"),
+  },
+  "GET /notifications/unread-count": {
+    tag: "Notifications",
+    summary: "Number of unread notifications",
+    response: ref("UnreadCount"),
+  },
+  "GET /notifications/stream": {
+    tag: "Notifications",
+    summary: "Live notifications",
+    description:
+      "Server-Sent Events: unread-count once, then a notification event per new notification.",
+    response: text,
+    responseType: "text/event-stream",
+  },
+  "PATCH /notifications/read-all": {
+    tag: "Notifications",
+    summary: "Mark every notification read",
+    response: ref("UpdateResult"),
+  },
+  "PATCH /notifications/:id/read": {
+    tag: "Notifications",
+    summary: "Mark a notification read",
+    response: ref("UpdateResult"),
+    errors: [404],
+  },
+
+  "GET /analytics/asset-types": {
+    tag: "Reports",
+    summary: "Returnable and non-returnable stock",
+    response: listOf("AssetTypeStats"),
+  },
+  "GET /analytics/top-requested": {
+    tag: "Reports",
+    summary: "Most requested assets",
+    query: { limit: { type: "integer", min: 1, default: 5 } },
+    response: listOf("TopRequestedAsset"),
+    errors: [400],
+  },
+  "GET /analytics/request-volume": {
+    tag: "Reports",
+    summary: "Requests per interval with approval rates",
+    query: {
+      interval: {
+        type: "string",
+        enum: ["day", "week", "month"],
+        default: "month",
+      },
+      ...dateRange,
+    },
+    response: listOf("RequestVolume"),
+    errors: [400],
+  },
+  "GET /analytics/approval-time": {
+    tag: "Reports",
+    summary: "Time from request to approval",
+    response: ref("ApprovalTime"),
+  },
+  "GET /analytics/low-stock": {
+    tag: "Reports",
+    summary: "Assets running out",
+    query: { threshold: { type: "integer", min: 0, default: 5 } },
+    response: listOf("LowStockAsset"),
+    errors: [400],
+  },
+  "GET /analytics/package-usage": {
+    tag: "Reports",
+    summary: "Seats bought and used",
+    response: ref("PackageUsage"),
+  },
+  "GET /audit-log": {
+    tag: "Reports",
+    summary: "Audit trail of the HR's company",
+    query: {
+      action: text,
+      targetType: text,
+      targetId: text,
+      actor: email,
+      ...dateRange,
+      ...page,
+    },
+    response: ref("AuditLog"),
+    errors: [400],
+  },
+};
+
+module.exports = { schemas, routeDocs };
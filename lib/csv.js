@@ -0,0 +1,78 @@
+// CSV helpers for bulk import and export
+const MAX_IMPORT_ROWS = 1000;
+// largest import body, CSV or JSON
+const IMPORT_BODY_LIMIT = "1mb";
+
+// Parse CSV text with a header row into objects, supports quoted fields
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((r) =>
+    r.some((value) => value.trim() !== "")
+  );
+  const columns = header.map((column) => column.trim());
+
+  return records.map((record) =>
+    Object.fromEntries(
+      columns
+        .map((column, index) => [column, record[index] ?? ""])
+        .filter(([, value]) => value !== "")
+    )
+  );
+};
+
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // keep spreadsheets from evaluating exported text as formulas
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns) =>
+  [
+    columns.join(","),
+    ...rows.map((row) =>
+      columns.map((column) => toCsvCell(row[column])).join(",")
+    ),
+  ].join("\r\n");
+
+module.exports = { MAX_IMPORT_ROWS, IMPORT_BODY_LIMIT, parseCsv, toCsv };
@@ -0,0 +1,113 @@
+const { privacySchema } = require("./schemas");
+
+// Team directory and birthday helpers
+const DEFAULT_PRIVACY = Object.fromEntries(
+  Object.entries(privacySchema).map(([key, field]) => [key, field.default])
+);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BIRTHDAY_DAYS = 366;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Only the calendar date of dateOfBirth counts, any time part is ignored
+const parseBirthday = (dateOfBirth) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(dateOfBirth ?? ""));
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  return { year, month, day };
+};
+
+const isLeapYear = (year) =>
+  (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+// Feb 29 birthdays fall on Feb 28 in common years
+const birthdayInYear = ({ month, day }, year) =>
+  new Date(
+    Date.UTC(
+      year,
+      month - 1,
+      month === 2 && day === 29 && !isLeapYear(year) ? 28 : day
+    )
+  );
+
+const startOfUtcDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+// Today or the first occurrence after it, wrapping into next year
+const nextBirthday = (birthday, today) => {
+  const thisYear = birthdayInYear(birthday, today.getUTCFullYear());
+  return thisYear >= today
+    ? thisYear
+    : birthdayInYear(birthday, today.getUTCFullYear() + 1);
+};
+
+// Public profile of a team member, filtered by the member's privacy settings
+const toDirectoryEntry = (user) => {
+  const privacy = { ...DEFAULT_PRIVACY, ...user.privacy };
+  const birthday = privacy.showBirthday
+    ? parseBirthday(user.dateOfBirth)
+    : null;
+
+  const entry = { name: user.name, position: user.role };
+
+  if (privacy.showEmail) entry.email = user.email;
+  if (privacy.showPhoto) entry.photo = user.profileImage;
+  if (birthday) {
+    entry.birthday = privacy.showBirthYear
+      ? user.dateOfBirth.slice(0, 10)
+      : user.dateOfBirth.slice(5, 10);
+  }
+
+  return entry;
+};
+
+// Members with a birthday in the window, sorted by that occurrence.
+// Without days the window is the current month, otherwise today and the next days.
+const upcomingBirthdays = (users, { days, now = new Date() } = {}) => {
+  const today = startOfUtcDay(now);
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+
+  return users
+    .map((user) => {
+      const entry = toDirectoryEntry(user);
+      if (!entry.birthday) return null;
+
+      const birthday = parseBirthday(user.dateOfBirth);
+      const date =
+        days === undefined
+          ? birthdayInYear(birthday, year)
+          : nextBirthday(birthday, today);
+
+      const inWindow =
+        days === undefined
+          ? date.getUTCMonth() === month
+          : date - today <= days * DAY_MS;
+
+      if (!inWindow) return null;
+
+      return {
+        ...entry,
+        date: formatDate(date),
+        daysUntil: Math.round((date - today) / DAY_MS),
+      };
+    })
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        // accounts from before names were required may have none
+        (a.name ?? "").localeCompare(b.name ?? "")
+    );
+};
+
+module.exports = {
+  MAX_BIRTHDAY_DAYS,
+  toDirectoryEntry,
+  upcomingBirthdays,
+};
@@ -0,0 +1,75 @@
+// Errors thrown by routes and services, the error middleware
+// (middleware/errors.js) turns them into the response envelope.
+// Thrown inside a transaction they also roll it back.
+class RequestError extends Error {
+  constructor(status, message, code = "REQUEST_FAILED") {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// errors holds the field errors, [{ field, message }]
+class ValidationError extends RequestError {
+  constructor(message = "Validation Failed", errors) {
+    super(400, message, "VALIDATION_FAILED");
+    this.errors = errors;
+  }
+}
+
+class UnauthorizedError extends RequestError {
+  constructor(message = "Unauthorized Access!") {
+    super(401, message, "UNAUTHORIZED");
+  }
+}
+
+class ForbiddenError extends RequestError {
+  constructor(message = "Forbidden Access") {
+    super(403, message, "FORBIDDEN");
+  }
+}
+
+class NotFoundError extends RequestError {
+  constructor(message = "Not Found") {
+    super(404, message, "NOT_FOUND");
+  }
+}
+
+class ConflictError extends RequestError {
+  constructor(message) {
+    super(409, message, "CONFLICT");
+  }
+}
+
+class GoneError extends RequestError {
+  constructor(message) {
+    super(410, message, "GONE");
+  }
+}
+
+// the rate limit middleware sets Retry-After before throwing it
+class TooManyRequestsError extends RequestError {
+  constructor(message = "Too Many Requests") {
+    super(429, message, "RATE_LIMITED");
+  }
+}
+
+// Stripe failed or is unreachable, cause is logged but never sent to the client
+class UpstreamPaymentError extends RequestError {
+  constructor(message = "Payment Provider Unavailable", cause) {
+    super(502, message, "UPSTREAM_PAYMENT");
+    this.cause = cause;
+  }
+}
+
+module.exports = {
+  RequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  TooManyRequestsError,
+  UpstreamPaymentError,
+};
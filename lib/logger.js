@@ -0,0 +1,55 @@
+// Structured logs, one JSON object per line:
+// { time, level, msg, ...fields }
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack,
+  ...(error.cause instanceof Error && { cause: serializeError(error.cause) }),
+});
+
+// Accepts logger.error("message", { fields }), logger.error("message", error)
+// and logger.error(error), the way console is called by the mailer
+const toEntry = (message, fields) => {
+  if (message instanceof Error) {
+    return { msg: message.message, error: serializeError(message) };
+  }
+  if (fields instanceof Error) {
+    return { msg: message, error: serializeError(fields) };
+  }
+  const { error, ...rest } = fields ?? {};
+  return {
+    msg: message,
+    ...rest,
+    ...(error instanceof Error && { error: serializeError(error) }),
+  };
+};
+
+const createLogger = ({
+  level = process.env.LOG_LEVEL || "info",
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) => {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const log = (entryLevel) => (message, fields) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    write(
+      JSON.stringify({
+        time: new Date().toISOString(),
+        level: entryLevel,
+        ...toEntry(message, fields),
+      })
+    );
+  };
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+  };
+};
+
+module.exports = { createLogger };
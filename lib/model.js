@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const { escapeRegex } = require("./validation");
+
+// Lifecycles and rules of the stored documents, free of any database access
+
+// assigned asset lifecycle: assigned -> return-requested -> returned
+const ASSIGNMENT_STATUSES = ["assigned", "return-requested", "returned"];
+const RETURN_CONDITIONS = ["good", "damaged", "lost"];
+
+const isNonReturnable = (productType) =>
+  productType?.toLowerCase() === "non-returnable";
+
+// asset request lifecycle: pending -> approved | rejected | cancelled, approved -> returned
+const REQUEST_TRANSITIONS = {
+  pending: ["approved", "rejected", "cancelled"],
+  approved: ["returned"],
+  rejected: [],
+  cancelled: [],
+  returned: [],
+};
+const REQUEST_STATUSES = Object.keys(REQUEST_TRANSITIONS);
+
+const canTransitionRequest = (from, to) =>
+  REQUEST_TRANSITIONS[from]?.includes(to) ?? false;
+
+// A request stays open while it is pending or the employee still holds a returnable unit
+const openRequestFilter = () => ({
+  $or: [
+    { requestStatus: "pending" },
+    { requestStatus: "approved", assetType: { $not: /^non-returnable$/i } },
+  ],
+});
+
+// Stock model: productQuantity is the total stock and
+// availableQuantity = productQuantity - assigned units - writtenOffQuantity.
+// inc is applied once per unit of the adjustment.
+const STOCK_ADJUSTMENTS = {
+  restock: { productQuantity: 1, availableQuantity: 1 },
+  "write-off": { availableQuantity: -1, writtenOffQuantity: 1 },
+  lost: { availableQuantity: -1, writtenOffQuantity: 1 },
+  damaged: { availableQuantity: -1, writtenOffQuantity: 1 },
+};
+
+// Stamp the server owned fields on a validated asset
+const toAssetDocument = (assetData, hr) => ({
+  ...assetData,
+  availableQuantity: assetData.productQuantity,
+  writtenOffQuantity: 0,
+  hrEmail: hr.email,
+  companyName: hr.companyName,
+  dateAdded: new Date().toISOString(),
+});
+
+const ASSET_SORT_FIELDS = [
+  "productName",
+  "productType",
+  "productQuantity",
+  "availableQuantity",
+  "dateAdded",
+];
+
+// limit and skip of a paged listing, 0 means no limit
+const parsePage = ({ limit = 0, skip = 0 } = {}) => {
+  const page = { limit: Number(limit), skip: Number(skip) };
+
+  if (!Number.isInteger(page.limit) || !Number.isInteger(page.skip)) {
+    return { error: "Invalid Pagination" };
+  }
+
+  return { limit: Math.max(page.limit, 0), skip: Math.max(page.skip, 0) };
+};
+
+// Build filter, sort and page of an asset listing from its query string
+const parseAssetListQuery = (query) => {
+  const {
+    search,
+    type,
+    available,
+    addedFrom,
+    addedTo,
+    archived,
+    sortBy = "dateAdded",
+    order = "desc",
+  } = query;
+
+  // archived assets are hidden unless asked for explicitly
+  const filter = { archivedAt: archived === "true" ? { $ne: null } : null };
+
+  if (search) {
+    filter.productName = { $regex: escapeRegex(String(search)), $options: "i" };
+  }
+
+  if (type) {
+    if (!["returnable", "non-returnable"].includes(type)) {
+      return { error: "Invalid Asset Type" };
+    }
+    filter.productType = { $regex: `^${type}$`, $options: "i" };
+  }
+
+  if (available === "true") {
+    filter.availableQuantity = { $gt: 0 };
+  }
+
+  if (addedFrom || addedTo) {
+    filter.dateAdded = {};
+    for (const [operator, value] of [
+      ["$gte", addedFrom],
+      ["$lte", addedTo],
+    ]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return { error: "Invalid Date" };
+      }
+      filter.dateAdded[operator] = date.toISOString();
+    }
+  }
+
+  if (!ASSET_SORT_FIELDS.includes(sortBy)) {
+    return { error: "Invalid Sort Field" };
+  }
+
+  const page = parsePage(query);
+  if (page.error) return page;
+
+  return {
+    filter,
+    sort: { [sortBy]: order === "asc" ? 1 : -1, _id: 1 },
+    ...page,
+  };
+};
+
+const DEFAULT_PACKAGE_LIMIT = 5;
+// Stripe refuses USD payments below $0.50
+const MIN_PACKAGE_PRICE = 0.5;
+
+// company affiliation lifecycle: pending -> active -> removed
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+const PACKAGE_LIMIT_MESSAGE =
+  "Your package limit has been reached. Please upgrade or purchase a new package to continue.";
+
+// invitation tokens are only stored hashed
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+module.exports = {
+  ASSIGNMENT_STATUSES,
+  RETURN_CONDITIONS,
+  isNonReturnable,
+  REQUEST_STATUSES,
+  canTransitionRequest,
+  openRequestFilter,
+  STOCK_ADJUSTMENTS,
+  toAssetDocument,
+  parsePage,
+  parseAssetListQuery,
+  DEFAULT_PACKAGE_LIMIT,
+  MIN_PACKAGE_PRICE,
+  INVITATION_TTL_DAYS,
+  PACKAGE_LIMIT_MESSAGE,
+  hashToken,
+};
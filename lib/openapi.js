@@ -0,0 +1,270 @@
+const { OBJECT_ID_PATTERN } = require("./validation");
+
+// OpenAPI 3 document built from the registered routes: paths, auth and request
+// bodies come from the routes and their middlewares, summaries, query strings
+// and responses from lib/apiDocs.js.
+
+// JSON Schema of the field types of lib/validation.js,
+// timestamp and any only appear in response schemas
+const FIELD_TYPES = {
+  string: { type: "string" },
+  email: { type: "string", format: "email" },
+  url: { type: "string", format: "uri" },
+  integer: { type: "integer" },
+  number: { type: "number" },
+  boolean: { type: "boolean" },
+  objectId: { type: "string", pattern: OBJECT_ID_PATTERN.source },
+  date: { type: "string", format: "date" },
+  timestamp: { type: "string", format: "date-time" },
+  any: {},
+};
+
+// route params are named after what they hold
+const PATH_PARAMS = {
+  id: { type: "objectId" },
+  companyId: { type: "objectId" },
+  email: { type: "email" },
+};
+
+const ERROR_RESPONSES = {
+  400: ["BadRequest", "Invalid body, params or query (VALIDATION_FAILED)"],
+  401: ["Unauthorized", "Missing or invalid Firebase ID token"],
+  403: ["Forbidden", "The caller's role or email does not allow this"],
+  404: ["NotFound", "Not found"],
+  409: ["Conflict", "Conflicts with the current state"],
+  410: ["Gone", "No longer available"],
+  413: ["PayloadTooLarge", "Request body too large"],
+  429: [
+    "TooManyRequests",
+    "Rate limit exceeded, see Retry-After (RATE_LIMITED)",
+  ],
+  502: ["UpstreamPayment", "Stripe failed or is unreachable"],
+};
+
+// Convert a field of a validation schema (see lib/schemas.js)
+const toJsonSchema = (field, options = {}) => {
+  if (field.ref) return { $ref: `#/components/schemas/${field.ref}` };
+
+  let json;
+  if (field.type === "object") {
+    json = field.schema
+      ? toObjectSchema(field.schema, options)
+      : { type: "object" };
+  } else if (field.type === "array") {
+    json = {
+      type: "array",
+      items: toJsonSchema(field.items, options),
+      ...(field.maxItems !== undefined && { maxItems: field.maxItems }),
+    };
+  } else {
+    json = { ...FIELD_TYPES[field.type] };
+  }
+
+  if (field.enum) json.enum = field.enum;
+  if (field.min !== undefined) json.minimum = field.min;
+  if (field.max !== undefined) json.maximum = field.max;
+  if (field.maxLength !== undefined) json.maxLength = field.maxLength;
+  // partial updates leave missing fields alone instead of defaulting them
+  if (field.default !== undefined && !options.partial) {
+    json.default = field.default;
+  }
+  if (field.nullable) json.nullable = true;
+  if (field.description) json.description = field.description;
+
+  return json;
+};
+
+// Convert a whole schema. closed mirrors validate(), which rejects unknown
+// fields, partial mirrors its partial mode.
+const toObjectSchema = (schema, options = {}) => {
+  const { partial = false, closed = false } = options;
+  const required = partial
+    ? []
+    : Object.keys(schema).filter((key) => schema[key].required);
+
+  return {
+    type: "object",
+    properties: Object.fromEntries(
+      Object.entries(schema).map(([key, field]) => [
+        key,
+        toJsonSchema(field, options),
+      ])
+    ),
+    ...(required.length && { required }),
+    ...(closed && { additionalProperties: false }),
+    ...(partial && { minProperties: 1 }),
+  };
+};
+
+const toParameters = (location, fields = {}) =>
+  Object.entries(fields).map(([name, field]) => ({
+    name,
+    in: location,
+    required: Boolean(field.required),
+    schema: toJsonSchema(field),
+    ...(field.description && { description: field.description }),
+  }));
+
+// Describe one route, handlers are its middlewares and handler in order
+const toOperation = ({ path, handlers }, doc) => {
+  const bodyCheck = handlers.find((handler) => handler.bodySchema);
+  const requiresToken = handlers.some((handler) => handler.requiresToken);
+  const role = handlers.find((handler) => handler.role)?.role;
+  const ownEmailParam = handlers.some((handler) => handler.ownEmailParam);
+  const tokenInQuery = handlers.some((handler) => handler.tokenInQuery);
+  const rateLimit = handlers.find((handler) => handler.rateLimit)?.rateLimit;
+  const pathParams = [...path.matchAll(/:(\w+)/g)].map(([, name]) => name);
+
+  const parameters = [
+    ...pathParams.map((name) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: toJsonSchema(PATH_PARAMS[name] ?? { type: "string" }),
+      ...(name === "email" &&
+        ownEmailParam && { description: "Must be the caller's own email" }),
+    })),
+    ...toParameters("query", doc.query),
+    ...toParameters("header", doc.headers),
+  ];
+
+  if (tokenInQuery) {
+    parameters.push({
+      name: "token",
+      in: "query",
+      required: false,
+      description:
+        "Firebase ID token, for EventSource clients that can not send headers",
+      schema: { type: "string" },
+    });
+  }
+
+  let requestBody;
+  if (bodyCheck) {
+    requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: toObjectSchema(bodyCheck.bodySchema, {
+            partial: bodyCheck.partial,
+            closed: true,
+          }),
+        },
+      },
+    };
+  } else if (doc.body) {
+    requestBody = {
+      required: true,
+      content: Object.fromEntries(
+        Object.entries(doc.body).map(([mediaType, field]) => [
+          mediaType,
+          { schema: toJsonSchema(field) },
+        ])
+      ),
+    };
+  }
+
+  const errors = new Set(doc.errors);
+  if (bodyCheck || pathParams.some((name) => PATH_PARAMS[name])) {
+    errors.add(400);
+  }
+  if (requiresToken) errors.add(401);
+  if (role || ownEmailParam) errors.add(403);
+  if (rateLimit) errors.add(429);
+
+  const description = [
+    doc.description,
+    role && `Only for users with the ${role} role.`,
+    rateLimit &&
+      `Limited to ${rateLimit.max} requests per ${
+        rateLimit.windowMs / 60000
+      } minutes per ${rateLimit.by === "user" ? "user" : "IP"}.`,
+  ].filter(Boolean);
+
+  return {
+    ...(doc.tag && { tags: [doc.tag] }),
+    ...(doc.summary && { summary: doc.summary }),
+    ...(description.length && { description: description.join(" ") }),
+    security: requiresToken ? [{ bearerAuth: [] }] : [],
+    ...(role && { "x-role": role }),
+    ...(parameters.length && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses: {
+      [doc.status ?? 200]: {
+        description: doc.responseDescription ?? "Success",
+        ...(doc.response && {
+          content: {
+            [doc.responseType ?? "application/json"]: {
+              schema: toJsonSchema(doc.response),
+            },
+          },
+        }),
+      },
+      ...Object.fromEntries(
+        [...errors]
+          .sort((a, b) => a - b)
+          .map((status) => [
+            status,
+            { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` },
+          ])
+      ),
+      default: { $ref: "#/components/responses/ServerError" },
+    },
+  };
+};
+
+// routes: [{ method, path, handlers }] as registered on the app,
+// routeDocs: { "GET /path": doc }, schemas: named response schemas
+const buildOpenApiDocument = ({ info, routes, routeDocs, schemas }) => {
+  const paths = {};
+
+  for (const route of routes) {
+    const doc = routeDocs[`${route.method.toUpperCase()} ${route.path}`] ?? {};
+    const path = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[path] = {
+      ...paths[path],
+      [route.method]: toOperation(route, doc),
+    };
+  }
+
+  const errorResponse = (description) => ({
+    description,
+    content: {
+      "application/json": {
+        schema: { $ref: "#/components/schemas/Error" },
+      },
+    },
+  });
+
+  return {
+    openapi: "3.0.3",
+    info,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "Firebase ID token of the signed in user",
+        },
+      },
+      schemas: Object.fromEntries(
+        Object.entries(schemas).map(([name, schema]) => [
+          name,
+          toObjectSchema(schema),
+        ])
+      ),
+      responses: {
+        ...Object.fromEntries(
+          Object.values(ERROR_RESPONSES).map(([name, description]) => [
+            name,
+            errorResponse(description),
+          ])
+        ),
+        ServerError: errorResponse("Unexpected server error (INTERNAL)"),
+      },
+    },
+    paths,
+  };
+};
+
+module.exports = { toJsonSchema, toObjectSchema, buildOpenApiDocument };
@@ -0,0 +1,74 @@
+// Rate limits, max requests per window. ip and user apply to every request
+// (user once the token is verified), the others to single routes.
+const DEFAULT_RATE_LIMITS = {
+  ip: { max: 300, windowMs: 15 * 60 * 1000 },
+  user: { max: 300, windowMs: 15 * 60 * 1000 },
+  signUp: { max: 10, windowMs: 60 * 60 * 1000 },
+  assetRequest: { max: 30, windowMs: 60 * 60 * 1000 },
+  checkout: { max: 10, windowMs: 60 * 60 * 1000 },
+};
+
+const LIMIT_PATTERN = /^(\d+)\/(\d+)$/;
+
+// RATE_LIMIT_IP, RATE_LIMIT_USER, RATE_LIMIT_SIGN_UP, RATE_LIMIT_ASSET_REQUEST
+// and RATE_LIMIT_CHECKOUT as <max>/<minutes> (e.g. 300/15) or off.
+// Only the limits that are set are returned.
+const rateLimitsFromEnv = (env = process.env) => {
+  const limits = {};
+
+  for (const name of Object.keys(DEFAULT_RATE_LIMITS)) {
+    const variable = `RATE_LIMIT_${name
+      .replace(/[A-Z]/g, (letter) => `_${letter}`)
+      .toUpperCase()}`;
+    const value = env[variable];
+    if (!value) continue;
+
+    if (value === "off") {
+      limits[name] = false;
+      continue;
+    }
+    const match = LIMIT_PATTERN.exec(value);
+    if (!match || Number(match[2]) === 0) {
+      throw new Error(`${variable} must be <max>/<minutes> or off`);
+    }
+    limits[name] = {
+      max: Number(match[1]),
+      windowMs: Number(match[2]) * 60 * 1000,
+    };
+  }
+
+  return limits;
+};
+
+// Fixed window counters in process memory. Any store with the same
+// increment(key, windowMs) => { count, resetAt } can replace it, e.g. one
+// backed by a shared cache when the API runs on several instances.
+const createMemoryStore = ({ now = Date.now } = {}) => {
+  const windows = new Map();
+  let nextSweep = 0;
+
+  return {
+    increment: async (key, windowMs) => {
+      const time = now();
+
+      // expired windows are dropped once a minute
+      if (time >= nextSweep) {
+        for (const [windowKey, window] of windows) {
+          if (window.resetAt <= time) windows.delete(windowKey);
+        }
+        nextSweep = time + 60 * 1000;
+      }
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= time) {
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+};
+
+module.exports = { DEFAULT_RATE_LIMITS, rateLimitsFromEnv, createMemoryStore };
@@ -0,0 +1,176 @@
+const {
+  RETURN_CONDITIONS,
+  STOCK_ADJUSTMENTS,
+  MIN_PACKAGE_PRICE,
+} = require("./model");
+
+// Request body schemas, checked by validateBody (middleware/validation.js)
+// What team members may see of each other in the directory and birthdays
+const privacySchema = {
+  showEmail: { type: "boolean", default: true },
+  showPhoto: { type: "boolean", default: true },
+  showBirthday: { type: "boolean", default: true },
+  showBirthYear: { type: "boolean", default: false },
+};
+
+const userSchema = {
+  name: { type: "string", required: true, maxLength: 100 },
+  email: { type: "email", required: true },
+  role: { type: "string", enum: ["employee", "hr"], default: "employee" },
+  profileImage: { type: "url" },
+  dateOfBirth: { type: "date" },
+  companyName: { type: "string", maxLength: 100 },
+  companyLogo: { type: "url" },
+  privacy: { type: "object", schema: privacySchema },
+};
+
+const userUpdateSchema = {
+  name: { type: "string", required: true, maxLength: 100 },
+  profileImage: { type: "url" },
+  dateOfBirth: { type: "date" },
+  privacy: { type: "object", schema: privacySchema },
+};
+
+const assetSchema = {
+  productName: { type: "string", required: true, maxLength: 200 },
+  productImage: { type: "url" },
+  productType: {
+    type: "string",
+    required: true,
+    enum: ["Returnable", "Non-returnable"],
+  },
+  productQuantity: { type: "integer", required: true, min: 0 },
+};
+
+// quantities only change through stock adjustments and assignments
+const assetUpdateSchema = {
+  productName: assetSchema.productName,
+  productImage: assetSchema.productImage,
+  productType: assetSchema.productType,
+};
+
+const stockAdjustmentSchema = {
+  type: {
+    type: "string",
+    required: true,
+    enum: Object.keys(STOCK_ADJUSTMENTS),
+  },
+  quantity: { type: "integer", required: true, min: 1, max: 100000 },
+  reason: { type: "string", required: true, maxLength: 500 },
+};
+
+// The rest of the request record is only accepted for older clients, which
+// send the whole document. The route derives it from the asset and users.
+const assetRequestSchema = {
+  assetId: { type: "objectId", required: true },
+  note: { type: "string", maxLength: 500 },
+  assetName: { type: "string" },
+  assetImage: { type: "string" },
+  assetType: { type: "string" },
+  requesterName: { type: "string" },
+  requesterEmail: { type: "string" },
+  hrEmail: { type: "string" },
+  companyName: { type: "string" },
+  requestDate: { type: "string" },
+  approvalDate: { type: "string" },
+  requestStatus: { type: "string" },
+};
+
+// hrEmail and the asset and date fields are only accepted for older clients,
+// the assignment is always made for the token's company from the stored asset
+const assignmentSchema = {
+  assetId: { type: "objectId", required: true },
+  employeeEmail: { type: "email", required: true },
+  employeeName: { type: "string", maxLength: 100 },
+  companyName: { type: "string", maxLength: 100 },
+  hrEmail: { type: "string" },
+  assetName: { type: "string" },
+  assetImage: { type: "string" },
+  assetType: { type: "string" },
+  assignmentDate: { type: "string" },
+  returnDate: { type: "string" },
+  status: { type: "string" },
+};
+
+// requestStatus is only accepted for older clients, the route always sets "rejected"
+const rejectionSchema = {
+  requestStatus: { type: "string", enum: ["rejected"] },
+};
+
+const assetReturnSchema = {
+  condition: { type: "string", enum: RETURN_CONDITIONS, default: "good" },
+  note: { type: "string", maxLength: 500, default: "" },
+};
+
+const returnConfirmationSchema = {
+  condition: { type: "string", enum: RETURN_CONDITIONS },
+};
+
+const packageSchema = {
+  name: { type: "string", required: true, maxLength: 100 },
+  price: { type: "number", required: true, min: MIN_PACKAGE_PRICE },
+  employeeLimit: { type: "integer", required: true, min: 1 },
+  features: {
+    type: "array",
+    items: { type: "string", maxLength: 200 },
+    maxItems: 20,
+    default: [],
+  },
+  active: { type: "boolean", default: true },
+};
+
+// name, price, employeeLimit and customer.email are only accepted for older
+// clients, checkout always charges the catalog values of packageId to the
+// token's email
+const checkoutSchema = {
+  packageId: { type: "objectId", required: true },
+  name: { type: "string" },
+  price: { type: "number", min: 0 },
+  employeeLimit: { type: "integer", min: 1 },
+  customer: {
+    type: "object",
+    schema: {
+      name: { type: "string" },
+      email: { type: "email" },
+    },
+  },
+};
+
+const invitationSchema = {
+  employeeEmail: { type: "email", required: true },
+};
+
+// one of companyId or hrEmail (older clients) is required
+const joinRequestSchema = {
+  companyId: { type: "objectId" },
+  hrEmail: { type: "email" },
+};
+
+const invitationResponseSchema = {
+  token: { type: "string", maxLength: 200 },
+  invitationId: { type: "objectId" },
+};
+
+const paymentSuccessSchema = {
+  sessionId: { type: "string", required: true },
+};
+
+module.exports = {
+  privacySchema,
+  userSchema,
+  userUpdateSchema,
+  assetSchema,
+  assetUpdateSchema,
+  stockAdjustmentSchema,
+  assetRequestSchema,
+  assignmentSchema,
+  rejectionSchema,
+  assetReturnSchema,
+  returnConfirmationSchema,
+  packageSchema,
+  checkoutSchema,
+  invitationSchema,
+  joinRequestSchema,
+  invitationResponseSchema,
+  paymentSuccessSchema,
+};
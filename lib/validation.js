@@ -0,0 +1,190 @@
+// Request validation
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const toNumber = (value) =>
+  typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+// Coerce a value to the declared field type, undefined when it does not fit
+const coerceField = (field, value) => {
+  switch (field.type) {
+    case "string":
+      return typeof value === "string" ? value.trim() : undefined;
+    case "email": {
+      const email = typeof value === "string" ? value.trim() : "";
+      return EMAIL_PATTERN.test(email) ? email : undefined;
+    }
+    case "url":
+      try {
+        const url = new URL(value);
+        return ["http:", "https:"].includes(url.protocol) ? value : undefined;
+      } catch {
+        return undefined;
+      }
+    case "integer": {
+      const number = toNumber(value);
+      return Number.isInteger(number) ? number : undefined;
+    }
+    case "number": {
+      const number = toNumber(value);
+      return typeof number === "number" && Number.isFinite(number)
+        ? number
+        : undefined;
+    }
+    case "boolean":
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      return undefined;
+    case "objectId":
+      return typeof value === "string" && OBJECT_ID_PATTERN.test(value)
+        ? value
+        : undefined;
+    case "date":
+      return typeof value === "string" &&
+        !Number.isNaN(new Date(value).getTime())
+        ? value.trim()
+        : undefined;
+    default:
+      return undefined;
+  }
+};
+
+// Check data against a schema, unknown fields are rejected
+const validate = (schema, data, { partial = false } = {}) => {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return {
+      errors: [{ field: "body", message: "body must be an object" }],
+    };
+  }
+
+  const errors = [];
+  const value = {};
+
+  for (const key of Object.keys(data)) {
+    if (!schema[key]) {
+      errors.push({ field: key, message: `${key} is not allowed` });
+    }
+  }
+
+  for (const [key, field] of Object.entries(schema)) {
+    const raw = data[key];
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (partial) continue;
+      if (field.required) {
+        errors.push({ field: key, message: `${key} is required` });
+      } else if (field.default !== undefined) {
+        value[key] = field.default;
+      }
+      continue;
+    }
+
+    if (field.type === "object") {
+      const nested = validate(field.schema, raw, { partial });
+      if (nested.errors.length) {
+        nested.errors.forEach((error) =>
+          errors.push({ ...error, field: `${key}.${error.field}` })
+        );
+      } else {
+        value[key] = nested.value;
+      }
+      continue;
+    }
+
+    if (field.type === "array") {
+      if (!Array.isArray(raw) || raw.length > field.maxItems) {
+        errors.push({
+          field: key,
+          message: `${key} must be a list of at most ${field.maxItems} items`,
+        });
+        continue;
+      }
+
+      const items = raw.map((item) => coerceField(field.items, item));
+      const invalid = items.findIndex(
+        (item) =>
+          item === undefined ||
+          item === "" ||
+          (field.items.maxLength !== undefined &&
+            item.length > field.items.maxLength)
+      );
+
+      if (invalid !== -1) {
+        errors.push({
+          field: `${key}.${invalid}`,
+          message: `${key}.${invalid} must be a valid ${field.items.type}`,
+        });
+      } else {
+        value[key] = items;
+      }
+      continue;
+    }
+
+    let coerced = coerceField(field, raw);
+
+    if (coerced === "" && field.required) {
+      errors.push({ field: key, message: `${key} is required` });
+      continue;
+    }
+
+    if (coerced === undefined) {
+      errors.push({
+        field: key,
+        message: `${key} must be a valid ${field.type}`,
+      });
+      continue;
+    }
+
+    if (field.enum) {
+      // enums match case-insensitively and are stored in their declared form
+      coerced = field.enum.find(
+        (option) =>
+          String(option).toLowerCase() === String(coerced).toLowerCase()
+      );
+      if (coerced === undefined) {
+        errors.push({
+          field: key,
+          message: `${key} must be one of ${field.enum.join(", ")}`,
+        });
+        continue;
+      }
+    }
+
+    if (field.min !== undefined && coerced < field.min) {
+      errors.push({
+        field: key,
+        message: `${key} must be at least ${field.min}`,
+      });
+      continue;
+    }
+
+    if (field.max !== undefined && coerced > field.max) {
+      errors.push({
+        field: key,
+        message: `${key} must be at most ${field.max}`,
+      });
+      continue;
+    }
+
+    if (field.maxLength !== undefined && coerced.length > field.maxLength) {
+      errors.push({
+        field: key,
+        message: `${key} must be at most ${field.maxLength} characters`,
+      });
+      continue;
+    }
+
+    value[key] = coerced;
+  }
+
+  if (partial && !errors.length && !Object.keys(value).length) {
+    errors.push({ field: "body", message: "at least one field is required" });
+  }
+
+  return { value, errors };
+};
+
+// Escape user input before using it in a $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = { OBJECT_ID_PATTERN, validate, escapeRegex };
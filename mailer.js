@@ -0,0 +1,205 @@
+// Email notifications: templates, pluggable transports and a retrying send queue
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Wrap plain paragraphs into the text and html bodies of one email
+const layout = (to, subject, paragraphs) => ({
+  to,
+  subject,
+  text: paragraphs.join("\n\n"),
+  html: paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join("\n"),
+});
+
+const templates = {
+  requestApproved: ({ to, employeeName, assetName, companyName }) =>
+    layout(to, `Your request for ${assetName} was approved`, [
+      `Hi ${employeeName || "there"},`,
+      `${
+        companyName || "Your company"
+      } approved your request for ${assetName}. It is now listed in your assets.`,
+    ]),
+
+  requestRejected: ({ to, employeeName, assetName, companyName }) =>
+    layout(to, `Your request for ${assetName} was rejected`, [
+      `Hi ${employeeName || "there"},`,
+      `${
+        companyName || "Your company"
+      } rejected your request for ${assetName}.`,
+    ]),
+
+  assetAssigned: ({ to, employeeName, assetName, companyName }) =>
+    layout(to, `${assetName} was assigned to you`, [
+      `Hi ${employeeName || "there"},`,
+      `${
+        companyName || "Your company"
+      } assigned ${assetName} to you. It is now listed in your assets.`,
+    ]),
+
+  paymentReceipt: ({ to, packageName, amount, employeeLimit, transitionId }) =>
+    layout(to, `Payment receipt for ${packageName}`, [
+      `Thank you for your purchase.`,
+      `Package: ${packageName}`,
+      `Employee seats added: ${employeeLimit}`,
+      `Amount paid: $${Number(amount).toFixed(2)}`,
+      `Transaction: ${transitionId}`,
+    ]),
+
+  invitation: ({ to, companyName, acceptUrl, expiresAt }) =>
+    layout(to, `${companyName} invited you to join their team`, [
+      `${companyName} invited you to join their team on AssetManagment.`,
+      `Accept the invitation here: ${acceptUrl}`,
+      `The invitation expires on ${new Date(expiresAt).toUTCString()}.`,
+    ]),
+};
+
+// SMTP transport, point it at a local sink (MailHog, smtp4dev, ...) in development
+const createSmtpTransport = ({ host, port, secure = false, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+// File outbox transport, every email is written as a JSON file
+const createOutboxTransport = ({ directory }) => ({
+  name: "outbox",
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const file = path.join(
+      directory,
+      `${Date.now()}-${crypto.randomUUID()}.json`
+    );
+    await fs.writeFile(
+      file,
+      JSON.stringify(
+        { ...message, createdAt: new Date().toISOString() },
+        null,
+        2
+      )
+    );
+  },
+});
+
+// Pick the transport from MAIL_TRANSPORT, email is disabled when it is not set
+const createTransportFromEnv = (env = process.env) => {
+  switch (env.MAIL_TRANSPORT) {
+    case "smtp":
+      return createSmtpTransport({
+        host: env.SMTP_HOST || "localhost",
+        port: Number(env.SMTP_PORT) || 1025,
+        secure: env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      });
+    case "outbox":
+      return createOutboxTransport({
+        directory: env.MAIL_OUTBOX_DIR || path.join(__dirname, "outbox"),
+      });
+    default:
+      return null;
+  }
+};
+
+// Queue emails in memory and retry failed sends with exponential backoff.
+// send() never throws, so a mail problem can not fail the API request.
+const createMailer = ({
+  transport,
+  from,
+  maxAttempts = 5,
+  retryDelayMs = 1000,
+  logger = console,
+}) => {
+  const queue = [];
+  let sending = false;
+  const retryTimers = new Set();
+  let idleWaiters = [];
+
+  const settleIdle = () => {
+    if (sending || queue.length || retryTimers.size) return;
+    idleWaiters.forEach((resolve) => resolve());
+    idleWaiters = [];
+  };
+
+  const drain = async () => {
+    if (sending) return;
+    sending = true;
+
+    while (queue.length) {
+      const job = queue.shift();
+      try {
+        await transport.send(job.message);
+      } catch (error) {
+        job.attempts += 1;
+        if (job.attempts >= maxAttempts) {
+          logger.error(
+            `Email "${job.message.subject}" to ${job.message.to} failed after ${job.attempts} attempts`,
+            error
+          );
+          continue;
+        }
+
+        const delay = retryDelayMs * 2 ** (job.attempts - 1);
+        const timer = setTimeout(() => {
+          retryTimers.delete(timer);
+          queue.push(job);
+          drain();
+        }, delay);
+        // pending retries only keep the process alive while idle() is awaited
+        if (!idleWaiters.length) timer.unref();
+        retryTimers.add(timer);
+      }
+    }
+
+    sending = false;
+    settleIdle();
+  };
+
+  return {
+    enabled: Boolean(transport),
+
+    send(template, data) {
+      if (!transport) return;
+      try {
+        const message = { from, ...templates[template](data) };
+        queue.push({ message, attempts: 0 });
+        drain();
+      } catch (error) {
+        logger.error(error);
+      }
+    },
+
+    // resolves once every queued email was sent or gave up
+    idle() {
+      retryTimers.forEach((timer) => timer.ref());
+      return new Promise((resolve) => {
+        idleWaiters.push(resolve);
+        settleIdle();
+      });
+    },
+  };
+};
+
+module.exports = {
+  templates,
+  createSmtpTransport,
+  createOutboxTransport,
+  createTransportFromEnv,
+  createMailer,
+};
@@ -0,0 +1,76 @@
+const { UnauthorizedError, ForbiddenError } = require("../lib/errors");
+
+// EventSource can not send headers, so streams pass the token in the query string
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+tokenFromQuery.tokenInQuery = true;
+
+// :email route params must belong to the caller
+const verifyEmailParam = (req, res, next) => {
+  if (req.params.email !== req.tokenEmail) {
+    return next(new ForbiddenError("Forbidden Access"));
+  }
+  next();
+};
+verifyEmailParam.ownEmailParam = true;
+
+// Company scoping: HR routes only touch documents of the caller's own company
+const companyScope = (req, query = {}) => ({
+  ...query,
+  hrEmail: req.tokenEmail,
+});
+
+// Token and role checks. verifyIdToken resolves a bearer token to its claims.
+// The flags set on these middlewares (requiresToken, role, tokenInQuery,
+// ownEmailParam) tell the OpenAPI document who may call a route.
+// limitUser, a rate limit middleware, runs once the caller is known.
+const createAuth = ({ collections, verifyIdToken, logger, limitUser }) => {
+  const { users: usersCollection } = collections;
+
+  // jwt middlewares
+  const verifyJWT = async (req, res, next) => {
+    const token = req?.headers?.authorization?.split(" ")[1];
+    if (!token) return next(new UnauthorizedError());
+    try {
+      const decoded = await verifyIdToken(token);
+      req.tokenEmail = decoded.email;
+    } catch (err) {
+      // why the token was refused is logged, never sent back
+      logger.warn("Token verification failed", {
+        requestId: req.id,
+        reason: err.code ?? err.message,
+      });
+      return next(new UnauthorizedError());
+    }
+    if (limitUser) return limitUser(req, res, next);
+    next();
+  };
+  verifyJWT.requiresToken = true;
+
+  // role based middleware, the role is read from the stored user
+  const requireRole = (role, message) => {
+    const middleware = async (req, res, next) => {
+      const user = await usersCollection.findOne({ email: req.tokenEmail });
+      if (!user || user.role !== role) {
+        return next(new ForbiddenError(message));
+      }
+      next();
+    };
+    return Object.assign(middleware, { role });
+  };
+
+  return {
+    verifyJWT,
+    verifyHR: requireRole("hr", "Only HR actions"),
+    verifyEmployee: requireRole("employee", "Only employee actions"),
+    verifyAdmin: requireRole("admin", "Only admin actions"),
+    verifyEmailParam,
+    tokenFromQuery,
+  };
+};
+
+module.exports = { createAuth, companyScope };
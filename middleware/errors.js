@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+const {
+  RequestError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../lib/errors");
+
+// a client or proxy supplied X-Request-Id is kept when it looks sane
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Give every request an id (echoed in X-Request-Id) and log one line per
+// request with its route pattern, status and latency
+const requestLogger = (logger) => (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const incomingId = req.get("x-request-id");
+  req.id = REQUEST_ID_PATTERN.test(incomingId ?? "")
+    ? incomingId
+    : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  let logged = false;
+  const logRequest = () => {
+    if (logged) return;
+    logged = true;
+
+    const status = res.statusCode;
+    const durationMs =
+      Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+
+    logger[level]("request", {
+      requestId: req.id,
+      method: req.method,
+      // the query string is left out, stream tokens travel in it
+      path: req.originalUrl.split("?")[0],
+      route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      status,
+      durationMs,
+      user: req.tokenEmail,
+      ...(!res.writableFinished && { aborted: true }),
+    });
+  };
+  // close covers event streams and requests aborted by the client
+  res.once("finish", logRequest);
+  res.once("close", logRequest);
+
+  next();
+};
+
+// Unknown routes answer with the envelope too
+const notFound = (req, res, next) => {
+  next(new NotFoundError("Route Not Found"));
+};
+
+// Map anything thrown to a RequestError, unexpected errors become a 500
+const toRequestError = (error) => {
+  if (error instanceof RequestError) return error;
+  // body parser errors
+  if (error.type === "entity.parse.failed") {
+    return new ValidationError("Invalid JSON Body");
+  }
+  if (error.type === "entity.too.large") {
+    return new RequestError(413, "Payload Too Large", "PAYLOAD_TOO_LARGE");
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new RequestError(error.status, error.message);
+  }
+  // unique index violations
+  if (error.code === 11000) {
+    return new ConflictError("Duplicate Record");
+  }
+  return new RequestError(500, "Internal Server Error", "INTERNAL");
+};
+
+// Every error response has the same envelope:
+// { message, code, requestId, errors? }
+const errorHandler = (logger) => (error, req, res, next) => {
+  const requestError = toRequestError(error);
+
+  if (requestError.status >= 500) {
+    logger.error("Request failed", {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      error,
+    });
+  }
+
+  // a streamed response can only be cut off
+  if (res.headersSent) return next(error);
+
+  res.status(requestError.status).send({
+    message: requestError.message,
+    code: requestError.code,
+    requestId: req.id,
+    ...(requestError.errors && { errors: requestError.errors }),
+  });
+};
+
+module.exports = { requestLogger, notFound, errorHandler };
@@ -0,0 +1,71 @@
+const { TooManyRequestsError } = require("../lib/errors");
+const { DEFAULT_RATE_LIMITS } = require("../lib/rateLimits");
+
+// What each limit counts by: the client IP, or the email of the verified
+// token (user limits run after verifyJWT)
+const LIMIT_KEYS = {
+  ip: "ip",
+  user: "user",
+  signUp: "ip",
+  assetRequest: "user",
+  checkout: "user",
+};
+
+const passThrough = (req, res, next) => next();
+
+// One middleware per limit of lib/rateLimits.js. limits overrides the
+// defaults per name, false turns a limit off. store keeps the counters
+// (see createMemoryStore).
+const createRateLimits = ({ limits = {}, store, logger }) => {
+  const rateLimit = (name) => {
+    const limit = limits[name] ?? DEFAULT_RATE_LIMITS[name];
+    if (!limit) return passThrough;
+    const { max, windowMs } = limit;
+    const by = LIMIT_KEYS[name];
+
+    const middleware = async (req, res, next) => {
+      // preflights carry no credentials and cost nothing to answer
+      if (req.method === "OPTIONS") return next();
+
+      const client = by === "user" ? req.tokenEmail : req.ip;
+
+      let hit;
+      try {
+        hit = await store.increment(`${name}:${client}`, windowMs);
+      } catch (error) {
+        // a broken store lets requests through instead of taking the API down
+        logger.error("Rate limit store failed", {
+          requestId: req.id,
+          limit: name,
+          error,
+        });
+        return next();
+      }
+
+      const resetSeconds = Math.max(
+        Math.ceil((hit.resetAt - Date.now()) / 1000),
+        0
+      );
+      res.set({
+        "RateLimit-Limit": max,
+        "RateLimit-Remaining": Math.max(max - hit.count, 0),
+        "RateLimit-Reset": resetSeconds,
+      });
+
+      if (hit.count > max) {
+        res.set("Retry-After", resetSeconds);
+        logger.warn("Rate limit exceeded", { requestId: req.id, limit: name });
+        return next(new TooManyRequestsError());
+      }
+      next();
+    };
+    // read by the OpenAPI document
+    return Object.assign(middleware, { rateLimit: { max, windowMs, by } });
+  };
+
+  return Object.fromEntries(
+    Object.keys(DEFAULT_RATE_LIMITS).map((name) => [name, rateLimit(name)])
+  );
+};
+
+module.exports = { createRateLimits };
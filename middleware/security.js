@@ -0,0 +1,17 @@
+// Headers for a JSON API: nothing it serves may run scripts, load resources
+// or be framed. The docs page loosens the policy for itself (routes/docs.js).
+const SECURITY_HEADERS = {
+  "Content-Security-Policy": "default-src 'none'; frame-ancestors 'none'",
+  "Strict-Transport-Security": "max-age=15552000; includeSubDomains",
+  "X-Content-Type-Options": "nosniff",
+  "X-Frame-Options": "DENY",
+  "Referrer-Policy": "no-referrer",
+  "Cross-Origin-Opener-Policy": "same-origin",
+};
+
+const securityHeaders = (req, res, next) => {
+  res.set(SECURITY_HEADERS);
+  next();
+};
+
+module.exports = { securityHeaders };
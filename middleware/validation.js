@@ -0,0 +1,33 @@
+const { ValidationError } = require("../lib/errors");
+const { OBJECT_ID_PATTERN, validate } = require("../lib/validation");
+
+// Replace req.body with its validated value or fail with the field errors.
+// The schema stays on the middleware, the OpenAPI document reads it from there.
+const validateBody = (schema, options = {}) => {
+  const middleware = (req, res, next) => {
+    const { value, errors } = validate(schema, req.body ?? {}, options);
+    if (errors.length) {
+      return next(new ValidationError("Validation Failed", errors));
+    }
+    req.body = value;
+    next();
+  };
+  return Object.assign(middleware, {
+    bodySchema: schema,
+    partial: Boolean(options.partial),
+  });
+};
+
+// every :id route param is a mongo ObjectId, use with router.param("id")
+const validateIdParam = (req, res, next, id) => {
+  if (!OBJECT_ID_PATTERN.test(id)) {
+    return next(
+      new ValidationError("Validation Failed", [
+        { field: "id", message: "id must be a valid objectId" },
+      ])
+    );
+  }
+  next();
+};
+
+module.exports = { validateBody, validateIdParam };
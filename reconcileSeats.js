@@ -0,0 +1,82 @@
+// One-time seat reconciliation for HR users.
+// packageLimit used to be decremented on every approval, so it no longer says how
+// many seats an HR bought. This recomputes it as the default package plus every
+// completed payment, and currentEmployees from the active affiliations.
+//
+// usage: node reconcileSeats.js [--dry-run] [--force]
+require("dotenv").config();
+const { MongoClient, ServerApiVersion } = require("mongodb");
+const { DEFAULT_PACKAGE_LIMIT } = require("./lib/model");
+
+const dryRun = process.argv.includes("--dry-run");
+const force = process.argv.includes("--force");
+
+const client = new MongoClient(process.env.MONGODB_URI, {
+  serverApi: {
+    version: ServerApiVersion.v1,
+    strict: true,
+    deprecationErrors: true,
+  },
+});
+
+async function reconcile() {
+  try {
+    const db = client.db("utility_bill");
+    const usersCollection = db.collection("users-am");
+    const employeeAffiliationsCollection = db.collection(
+      "employeeAffiliations-am"
+    );
+    const paymentsCollection = db.collection("payments-am");
+
+    const hrQuery = { role: "hr" };
+    if (!force) {
+      hrQuery.seatsReconciledAt = { $exists: false };
+    }
+
+    const hrs = await usersCollection.find(hrQuery).toArray();
+
+    for (const hr of hrs) {
+      const currentEmployees =
+        await employeeAffiliationsCollection.countDocuments({
+          hrEmail: hr.email,
+          status: "active",
+        });
+
+      const [purchased] = await paymentsCollection
+        .aggregate([
+          { $match: { hrEmail: hr.email, status: "completed" } },
+          { $group: { _id: null, seats: { $sum: "$employeeLimit" } } },
+        ])
+        .toArray();
+
+      const packageLimit = DEFAULT_PACKAGE_LIMIT + (purchased?.seats ?? 0);
+
+      console.log(
+        `${hr.email}: packageLimit ${hr.packageLimit} -> ${packageLimit}, currentEmployees ${hr.currentEmployees} -> ${currentEmployees}`
+      );
+
+      if (dryRun) continue;
+
+      await usersCollection.updateOne(
+        { _id: hr._id },
+        {
+          $set: {
+            packageLimit,
+            currentEmployees,
+            seatsReconciledAt: new Date().toISOString(),
+          },
+        }
+      );
+    }
+
+    console.log(
+      `${dryRun ? "Checked" : "Reconciled"} ${hrs.length} HR account(s)`
+    );
+  } finally {
+    await client.close();
+  }
+}
+reconcile().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,619 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+} = require("../lib/errors");
+const { validate } = require("../lib/validation");
+const {
+  assetSchema,
+  assetUpdateSchema,
+  stockAdjustmentSchema,
+} = require("../lib/schemas");
+const {
+  ASSIGNMENT_STATUSES,
+  isNonReturnable,
+  STOCK_ADJUSTMENTS,
+  toAssetDocument,
+  parsePage,
+  parseAssetListQuery,
+} = require("../lib/model");
+const {
+  MAX_IMPORT_ROWS,
+  IMPORT_BODY_LIMIT,
+  parseCsv,
+  toCsv,
+} = require("../lib/csv");
+const { companyScope } = require("../middleware/auth");
+const { validateBody, validateIdParam } = require("../middleware/validation");
+
+// Columns of the asset export. Those the server sets itself are ignored on
+// import, so an export can be imported back.
+const ASSET_EXPORT_COLUMNS = [
+  "_id",
+  "productName",
+  "productType",
+  "productQuantity",
+  "availableQuantity",
+  "writtenOffQuantity",
+  "companyName",
+  "dateAdded",
+];
+const IGNORED_IMPORT_COLUMNS = ASSET_EXPORT_COLUMNS.filter(
+  (column) => !(column in assetSchema)
+);
+
+const withoutIgnoredColumns = (row) =>
+  row && typeof row === "object" && !Array.isArray(row)
+    ? Object.fromEntries(
+        Object.entries(row).filter(
+          ([column]) => !IGNORED_IMPORT_COLUMNS.includes(column)
+        )
+      )
+    : row;
+
+const createAssetsRouter = ({ collections, services, auth, startSession }) => {
+  const {
+    users: usersCollection,
+    assets: assetsCollection,
+    requests: requestsCollection,
+    assignedAssets: assignedAssetsCollection,
+    employeeAffiliations: employeeAffiliationsCollection,
+    stockAdjustments: stockAdjustmentsCollection,
+  } = collections;
+  const { recordAudit, notify, adjustStock, findCompany, findMembership } =
+    services;
+  const { verifyJWT, verifyHR, verifyEmployee, verifyEmailParam } = auth;
+
+  const router = express.Router();
+  router.param("id", validateIdParam);
+
+  // Asset Related APIs
+
+  // Get  assets
+  router.get("/assets", verifyJWT, async (req, res) => {
+    const listQuery = parseAssetListQuery(req.query);
+
+    if (listQuery.error) {
+      throw new ValidationError(listQuery.error);
+    }
+
+    const { filter, sort, limit, skip } = listQuery;
+    const user = await usersCollection.findOne({ email: req.tokenEmail });
+
+    if (user?.role === "hr") {
+      filter.hrEmail = user.email;
+    } else if (req.query.companyId) {
+      const company = await findCompany(req.query.companyId);
+      await findMembership(req.tokenEmail, company);
+
+      filter.hrEmail = company.hrEmail;
+      filter.archivedAt = null;
+    } else {
+      // Employees can only request from companies they are active members of
+      const affiliations = await employeeAffiliationsCollection
+        .find({ employeeEmail: req.tokenEmail, status: "active" })
+        .toArray();
+
+      filter.hrEmail = { $in: affiliations.map((a) => a.hrEmail) };
+      filter.archivedAt = null;
+    }
+
+    const result = await assetsCollection
+      .find(filter)
+      .sort(sort)
+      .limit(limit)
+      .skip(skip)
+      .toArray();
+
+    const count = await assetsCollection.countDocuments(filter);
+
+    res.send({ assets: result, total: count });
+  });
+
+  //get  assets of a company
+  router.get(
+    "/company-assets/:email",
+    verifyJWT,
+    verifyHR,
+    verifyEmailParam,
+    async (req, res) => {
+      const listQuery = parseAssetListQuery(req.query);
+
+      if (listQuery.error) {
+        throw new ValidationError(listQuery.error);
+      }
+
+      const filter = companyScope(req, listQuery.filter);
+      const { sort, limit, skip } = listQuery;
+
+      const result = await assetsCollection
+        .find(filter)
+        .sort(sort)
+        .limit(limit)
+        .skip(skip)
+        .toArray();
+
+      const count = await assetsCollection.countDocuments(filter);
+
+      res.send({ assets: result, total: count });
+    }
+  );
+
+  // Get employees assets
+  // router.get(
+  //   "/my-assets/:email",
+  //   verifyJWT,
+  //   verifyEmployee,
+  //   async (req, res) => {
+  //     try {
+  //       const { email } = req.tokenEmail;
+
+  //       const query = {};
+  //       if (email) {
+  //         query.employeeEmail = email;
+  //       }
+
+  //       const result = await assignedAssetsCollection.find(query).toArray();
+  //       res.send(result);
+  //     } catch (error) {
+  //       console.error(error);
+  //       res.status(500).send({ message: "Internal Server Error" });
+  //     }
+  //   }
+  // );
+  router.get(
+    "/my-assets/:email",
+    verifyJWT,
+    verifyEmployee,
+    async (req, res) => {
+      const email = req.tokenEmail;
+      const { status, companyId } = req.query;
+
+      const query = { employeeEmail: email };
+
+      if (status) {
+        if (!ASSIGNMENT_STATUSES.includes(status)) {
+          throw new ValidationError("Invalid Status");
+        }
+        query.status = status;
+      }
+
+      if (companyId) {
+        query.hrEmail = (await findCompany(companyId)).hrEmail;
+      }
+
+      const result = await assignedAssetsCollection.find(query).toArray();
+      res.send(result);
+    }
+  );
+
+  // Edit asset
+  router.patch(
+    "/assets/:id",
+    verifyJWT,
+    verifyHR,
+    validateBody(assetUpdateSchema, { partial: true }),
+    async (req, res) => {
+      const updateData = req.body;
+      const { id } = req.params;
+      const query = companyScope(req, { _id: new ObjectId(id) });
+
+      const update = {
+        $set: updateData,
+      };
+
+      const asset = await assetsCollection.findOne(query);
+
+      if (!asset) {
+        throw new NotFoundError("Asset Not Found");
+      }
+
+      const result = await assetsCollection.updateOne(query, update);
+
+      if (result.matchedCount === 0) {
+        throw new NotFoundError("Asset Not Found");
+      }
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "asset.update",
+        targetType: "asset",
+        targetId: asset._id,
+        hrEmail: req.tokenEmail,
+        before: asset,
+        after: { ...asset, ...updateData },
+      });
+
+      res.send(result);
+    }
+  );
+
+  // Setting availableQuantity directly broke the stock invariant, assignments
+  // now take their unit themselves and other changes are stock adjustments
+  router.patch("/assign-asset/:id", verifyJWT, verifyHR, (req, res) => {
+    throw new GoneError(
+      "Use POST /assets/:id/stock-adjustments to change stock"
+    );
+  });
+
+  // Restock or write off units of an asset
+  router.post(
+    "/assets/:id/stock-adjustments",
+    verifyJWT,
+    verifyHR,
+    validateBody(stockAdjustmentSchema),
+    async (req, res) => {
+      const session = startSession();
+      try {
+        const { type, quantity, reason } = req.body;
+
+        const inc = Object.fromEntries(
+          Object.entries(STOCK_ADJUSTMENTS[type]).map(([field, units]) => [
+            field,
+            units * quantity,
+          ])
+        );
+
+        const result = await session.withTransaction(async () => {
+          const asset = await assetsCollection.findOne(
+            companyScope(req, { _id: new ObjectId(req.params.id) }),
+            { session }
+          );
+
+          if (!asset) {
+            throw new NotFoundError("Asset Not Found");
+          }
+
+          return adjustStock(
+            { asset, type, quantity, inc, reason, actor: req.tokenEmail },
+            session
+          );
+        });
+
+        res.status(201).send(result);
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // Stock history of an asset with a check of the stock invariant
+  router.get(
+    "/assets/:id/stock-history",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const page = parsePage(req.query);
+      if (page.error) {
+        throw new ValidationError(page.error);
+      }
+
+      const asset = await assetsCollection.findOne(
+        companyScope(req, { _id: new ObjectId(req.params.id) })
+      );
+
+      if (!asset) {
+        throw new NotFoundError("Asset Not Found");
+      }
+
+      const query = { assetId: asset._id.toString() };
+
+      const adjustments = await stockAdjustmentsCollection
+        .find(query)
+        .sort({ createdAt: -1 })
+        .limit(page.limit)
+        .skip(page.skip)
+        .toArray();
+
+      const count = await stockAdjustmentsCollection.countDocuments(query);
+
+      const assigned = await assignedAssetsCollection.countDocuments({
+        ...query,
+        status: { $in: ["assigned", "return-requested"] },
+      });
+
+      const writtenOff = asset.writtenOffQuantity ?? 0;
+      const expectedAvailable = asset.productQuantity - assigned - writtenOff;
+
+      res.send({
+        stock: {
+          total: asset.productQuantity,
+          assigned,
+          writtenOff,
+          available: asset.availableQuantity,
+          consistent: asset.availableQuantity === expectedAvailable,
+        },
+        adjustments,
+        total: count,
+      });
+    }
+  );
+
+  // Post asset
+  router.post(
+    "/assets",
+    verifyJWT,
+    verifyHR,
+    validateBody(assetSchema),
+    async (req, res) => {
+      const hr = await usersCollection.findOne({ email: req.tokenEmail });
+      const assetData = toAssetDocument(req.body, hr);
+      const result = await assetsCollection.insertOne(assetData);
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "asset.create",
+        targetType: "asset",
+        targetId: result.insertedId,
+        hrEmail: req.tokenEmail,
+        after: assetData,
+      });
+
+      res.send(result);
+    }
+  );
+
+  // Bulk import assets from CSV or a JSON array
+  router.post(
+    "/assets/import",
+    verifyJWT,
+    verifyHR,
+    express.text({ type: "text/csv", limit: IMPORT_BODY_LIMIT }),
+    async (req, res) => {
+      const dryRun = req.query.dryRun === "true";
+
+      let rows;
+      if (req.is("text/csv")) {
+        rows = parseCsv(req.body ?? "");
+      } else if (Array.isArray(req.body)) {
+        rows = req.body;
+      } else {
+        throw new ValidationError("Send a CSV file or a JSON array of assets");
+      }
+
+      if (rows.length === 0) {
+        throw new ValidationError("No Assets To Import");
+      }
+
+      if (rows.length > MAX_IMPORT_ROWS) {
+        throw new ValidationError(
+          `At most ${MAX_IMPORT_ROWS} assets can be imported at once`
+        );
+      }
+
+      const validRows = [];
+      const errors = [];
+
+      rows.forEach((row, index) => {
+        const { value, errors: rowErrors } = validate(
+          assetSchema,
+          withoutIgnoredColumns(row)
+        );
+        if (rowErrors.length) {
+          errors.push({ row: index + 1, errors: rowErrors });
+        } else {
+          validRows.push(value);
+        }
+      });
+
+      const summary = {
+        dryRun,
+        total: rows.length,
+        valid: validRows.length,
+        invalid: errors.length,
+        errors,
+      };
+
+      if (dryRun || validRows.length === 0) {
+        return res.send({ ...summary, inserted: 0 });
+      }
+
+      const hr = await usersCollection.findOne({ email: req.tokenEmail });
+      const assets = validRows.map((row) => toAssetDocument(row, hr));
+      const result = await assetsCollection.insertMany(assets);
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "asset.import",
+        targetType: "asset",
+        hrEmail: req.tokenEmail,
+        after: {
+          insertedIds: Object.values(result.insertedIds),
+          invalid: errors.length,
+        },
+      });
+
+      res.status(201).send({ ...summary, inserted: result.insertedCount });
+    }
+  );
+
+  // Delete asset, it is archived so assignment history keeps pointing at it
+  router.delete("/asset/:id", verifyJWT, verifyHR, async (req, res) => {
+    const session = startSession();
+    try {
+      const { id } = req.params;
+      const force = req.query.force === "true";
+      const query = companyScope(req, { _id: new ObjectId(id) });
+      const now = new Date().toISOString();
+      let cancelledRequests = [];
+
+      const summary = await session.withTransaction(async () => {
+        const asset = await assetsCollection.findOne(
+          { ...query, archivedAt: null },
+          { session }
+        );
+
+        if (!asset) {
+          throw new NotFoundError("Asset Not Found");
+        }
+
+        // consumed non-returnable units never come back, so they are not outstanding
+        const outstanding = await assignedAssetsCollection.countDocuments(
+          {
+            assetId: id,
+            status: {
+              $in: isNonReturnable(asset.productType)
+                ? ["return-requested"]
+                : ["assigned", "return-requested"],
+            },
+          },
+          { session }
+        );
+
+        if (outstanding > 0 && !force) {
+          throw new ConflictError(
+            `${outstanding} Unit(s) Still Assigned, Use force=true To Archive Anyway`
+          );
+        }
+
+        await assetsCollection.updateOne(
+          { ...query, archivedAt: null },
+          { $set: { archivedAt: now, archivedBy: req.tokenEmail } },
+          { session }
+        );
+
+        const pendingQuery = { assetId: id, requestStatus: "pending" };
+        cancelledRequests = await requestsCollection
+          .find(pendingQuery, { session })
+          .toArray();
+
+        await requestsCollection.updateMany(
+          pendingQuery,
+          {
+            $set: {
+              requestStatus: "cancelled",
+              cancelledDate: now,
+              cancellationReason: "asset-archived",
+            },
+          },
+          { session }
+        );
+
+        const result = {
+          assetId: id,
+          archivedAt: now,
+          outstanding,
+          requestsCancelled: cancelledRequests.length,
+        };
+
+        await recordAudit(
+          {
+            actor: req.tokenEmail,
+            action: "asset.archive",
+            targetType: "asset",
+            targetId: asset._id,
+            hrEmail: req.tokenEmail,
+            before: asset,
+            after: { ...asset, archivedAt: now, archivedBy: req.tokenEmail },
+          },
+          session
+        );
+
+        return result;
+      });
+
+      for (const request of cancelledRequests) {
+        await notify({
+          recipientEmail: request.requesterEmail,
+          type: "request.cancelled",
+          title: "Request cancelled",
+          message: `Your request for ${request.assetName} was cancelled because the asset was removed`,
+          data: { requestId: request._id, assetId: request.assetId },
+        });
+      }
+
+      res.send(summary);
+    } finally {
+      await session.endSession();
+    }
+  });
+
+  // Restore an archived asset
+  router.patch("/assets/:id/restore", verifyJWT, verifyHR, async (req, res) => {
+    const query = companyScope(req, { _id: new ObjectId(req.params.id) });
+
+    const asset = await assetsCollection.findOne(query);
+
+    if (!asset) {
+      throw new NotFoundError("Asset Not Found");
+    }
+
+    if (!asset.archivedAt) {
+      throw new ConflictError("Asset Is Not Archived");
+    }
+
+    const result = await assetsCollection.updateOne(
+      { ...query, archivedAt: asset.archivedAt },
+      { $set: { archivedAt: null, archivedBy: null } }
+    );
+
+    await recordAudit({
+      actor: req.tokenEmail,
+      action: "asset.restore",
+      targetType: "asset",
+      targetId: asset._id,
+      hrEmail: req.tokenEmail,
+      before: asset,
+      after: { ...asset, archivedAt: null, archivedBy: null },
+    });
+
+    res.send(result);
+  });
+
+  // Export APIs (finance reconciliation)
+
+  const sendCsv = (res, filename, rows, columns) => {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(toCsv(rows, columns));
+  };
+
+  // Export the company's assets as CSV
+  router.get(
+    "/export/company-assets",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const assets = await assetsCollection
+        .find(companyScope(req, { archivedAt: null }))
+        .sort({ dateAdded: 1 })
+        .toArray();
+
+      sendCsv(res, "company-assets.csv", assets, ASSET_EXPORT_COLUMNS);
+    }
+  );
+
+  // Export the company's asset assignments as CSV
+  router.get(
+    "/export/assigned-assets",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const assignedAssets = await assignedAssetsCollection
+        .find(companyScope(req))
+        .sort({ assignmentDate: 1 })
+        .toArray();
+
+      sendCsv(res, "assigned-assets.csv", assignedAssets, [
+        "_id",
+        "assetId",
+        "assetName",
+        "assetType",
+        "employeeName",
+        "employeeEmail",
+        "companyName",
+        "assignmentDate",
+        "returnDate",
+        "returnCondition",
+        "status",
+      ]);
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createAssetsRouter };
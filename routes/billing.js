@@ -0,0 +1,327 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  UpstreamPaymentError,
+} = require("../lib/errors");
+const {
+  packageSchema,
+  checkoutSchema,
+  paymentSuccessSchema,
+} = require("../lib/schemas");
+const { MIN_PACKAGE_PRICE } = require("../lib/model");
+const { companyScope } = require("../middleware/auth");
+const { validateBody, validateIdParam } = require("../middleware/validation");
+
+const createBillingRouter = ({
+  collections,
+  services,
+  auth,
+  rateLimits,
+  stripe,
+  stripeWebhookSecret,
+}) => {
+  const { packages: packagesCollection, payments: paymentsCollection } =
+    collections;
+  const {
+    recordAudit,
+    getSeatUsage,
+    fulfillCheckoutSession,
+    reversePayment,
+    restorePayment,
+  } = services;
+  const { verifyJWT, verifyHR, verifyAdmin, verifyEmailParam } = auth;
+
+  const router = express.Router();
+  router.param("id", validateIdParam);
+
+  // Package related APIs
+
+  // Get packages that can be bought
+  router.get("/packages", verifyJWT, verifyHR, async (req, res) => {
+    const result = await packagesCollection
+      .find({ active: { $ne: false } })
+      .sort({ price: 1 })
+      .toArray();
+    res.send(result);
+  });
+
+  // Get used and remaining package seats
+  router.get("/seats", verifyJWT, verifyHR, async (req, res) => {
+    const { packageLimit, used, remaining } = await getSeatUsage(
+      req.tokenEmail
+    );
+    res.send({ packageLimit, used, remaining });
+  });
+
+  // Admin Related APIs
+
+  // Get the whole package catalog, inactive packages included
+  router.get("/admin/packages", verifyJWT, verifyAdmin, async (req, res) => {
+    const result = await packagesCollection.find().sort({ price: 1 }).toArray();
+    res.send(result);
+  });
+
+  // Add a package to the catalog
+  router.post(
+    "/admin/packages",
+    verifyJWT,
+    verifyAdmin,
+    validateBody(packageSchema),
+    async (req, res) => {
+      const packageData = {
+        ...req.body,
+        createdAt: new Date().toISOString(),
+      };
+
+      const result = await packagesCollection.insertOne(packageData);
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "package.create",
+        targetType: "package",
+        targetId: result.insertedId,
+        hrEmail: null,
+        after: packageData,
+      });
+
+      res.status(201).send(result);
+    }
+  );
+
+  // Edit a package, set active to false to stop selling it
+  router.patch(
+    "/admin/packages/:id",
+    verifyJWT,
+    verifyAdmin,
+    validateBody(packageSchema, { partial: true }),
+    async (req, res) => {
+      const query = { _id: new ObjectId(req.params.id) };
+
+      const before = await packagesCollection.findOne(query);
+
+      if (!before) {
+        throw new NotFoundError("Package Not Found");
+      }
+
+      const update = {
+        $set: { ...req.body, updatedAt: new Date().toISOString() },
+      };
+
+      const result = await packagesCollection.updateOne(query, update);
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "package.update",
+        targetType: "package",
+        targetId: before._id,
+        hrEmail: null,
+        before,
+        after: { ...before, ...update.$set },
+      });
+
+      res.send(result);
+    }
+  );
+
+  // Remove a package, payments keep their own copy of its values
+  router.delete(
+    "/admin/packages/:id",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      const query = { _id: new ObjectId(req.params.id) };
+
+      const before = await packagesCollection.findOne(query);
+      const result = await packagesCollection.deleteOne(query);
+
+      if (result.deletedCount === 0) {
+        throw new NotFoundError("Package Not Found");
+      }
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "package.delete",
+        targetType: "package",
+        targetId: before._id,
+        hrEmail: null,
+        before,
+      });
+
+      res.send(result);
+    }
+  );
+
+  // Payment Endpoints
+
+  router.post(
+    "/create-checkout-session",
+    verifyJWT,
+    verifyHR,
+    rateLimits.checkout,
+    validateBody(checkoutSchema),
+    async (req, res) => {
+      const paymentInfo = req.body;
+
+      // price and seats always come from the catalog, never from the client
+      const packageData = await packagesCollection.findOne({
+        _id: new ObjectId(paymentInfo.packageId),
+        active: { $ne: false },
+      });
+
+      if (!packageData) {
+        throw new NotFoundError("Package Not Found");
+      }
+
+      // catalog entries from before the minimum existed can not be paid for
+      if (!(packageData.price >= MIN_PACKAGE_PRICE)) {
+        throw new ConflictError("Package Price Is Below The Payment Minimum");
+      }
+
+      const session = await stripe.checkout.sessions
+        .create({
+          line_items: [
+            {
+              price_data: {
+                currency: "usd",
+                product_data: {
+                  name: packageData.name,
+                },
+                unit_amount: Math.round(packageData.price * 100),
+              },
+              quantity: 1,
+            },
+          ],
+          customer_email: req.tokenEmail,
+          mode: "payment",
+          metadata: {
+            packageId: packageData._id.toString(),
+            packageName: packageData.name,
+            price: packageData.price,
+            employeeLimit: packageData.employeeLimit,
+            customer: paymentInfo?.customer?.name,
+          },
+          success_url: `${process.env.CLIENT_DOMAIN}/dashboard/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: `${process.env.CLIENT_DOMAIN}/dashboard/upgrade-package`,
+        })
+        .catch((error) => {
+          throw new UpstreamPaymentError(
+            "Checkout Session Could Not Be Created",
+            error
+          );
+        });
+
+      res.send({ url: session.url });
+    }
+  );
+
+  // Stripe webhook (source of truth for package purchases)
+  router.post("/stripe/webhook", async (req, res) => {
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.rawBody,
+        req.headers["stripe-signature"],
+        stripeWebhookSecret
+      );
+    } catch {
+      throw new ValidationError("Invalid Webhook Signature");
+    }
+
+    // a failure here answers 500, which makes Stripe retry the event
+    const object = event.data.object;
+
+    switch (event.type) {
+      case "checkout.session.completed":
+      case "checkout.session.async_payment_succeeded":
+        await fulfillCheckoutSession(object);
+        break;
+      case "charge.refunded":
+        // partial refunds keep the package
+        if (object.refunded) {
+          await reversePayment(object.payment_intent, "refunded");
+        }
+        break;
+      case "charge.dispute.created":
+        await reversePayment(object.payment_intent, "disputed");
+        break;
+      case "charge.dispute.closed":
+        if (object.status === "won") {
+          await restorePayment(object.payment_intent);
+        }
+        break;
+      default:
+        break;
+    }
+
+    res.send({ received: true });
+  });
+
+  // Report the status of a checkout session, fulfillment happens in the webhook
+  router.post(
+    "/payment-success",
+    verifyJWT,
+    verifyHR,
+    validateBody(paymentSuccessSchema),
+    async (req, res) => {
+      const { sessionId } = req.body;
+
+      let payment = await paymentsCollection.findOne(
+        companyScope(req, { sessionId })
+      );
+      let transitionId = payment?.transitionId;
+
+      if (!payment) {
+        const session = await stripe.checkout.sessions
+          .retrieve(sessionId)
+          .catch((error) => {
+            if (error.code === "resource_missing") {
+              throw new NotFoundError("Payment Not Found");
+            }
+            throw new UpstreamPaymentError(undefined, error);
+          });
+
+        if (session.customer_email !== req.tokenEmail) {
+          throw new NotFoundError("Payment Not Found");
+        }
+
+        transitionId = session.payment_intent;
+        payment = await paymentsCollection.findOne(
+          companyScope(req, { transitionId })
+        );
+
+        if (!payment) {
+          return res.send({
+            transitionId,
+            status:
+              session.payment_status === "paid" ? "processing" : "pending",
+          });
+        }
+      }
+
+      res.send({
+        transitionId,
+        orderId: payment._id,
+        status: payment.status,
+      });
+    }
+  );
+
+  // Get payment history
+  router.get(
+    "/payments/:email",
+    verifyJWT,
+    verifyHR,
+    verifyEmailParam,
+    async (req, res) => {
+      const result = await paymentsCollection.find(companyScope(req)).toArray();
+      res.send(result);
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createBillingRouter };
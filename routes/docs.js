@@ -0,0 +1,88 @@
+const express = require("express");
+const { buildOpenApiDocument } = require("../lib/openapi");
+const { schemas, routeDocs } = require("../lib/apiDocs");
+const { name, version } = require("../package.json");
+
+// Every route of the app with its middlewares and handler, in registration order
+const listRoutes = (app) =>
+  app.router.stack
+    .flatMap((layer) =>
+      layer.route
+        ? [layer]
+        : (layer.handle.stack ?? []).filter((inner) => inner.route)
+    )
+    .flatMap(({ route }) =>
+      Object.keys(route.methods).map((method) => ({
+        method,
+        path: route.path,
+        handlers: route.stack.map((inner) => inner.handle),
+      }))
+    );
+
+// Swagger UI from a CDN, nothing to install. The version is pinned and the
+// files are checked against their hashes, update both together.
+const SWAGGER_UI = "https://unpkg.com/swagger-ui-dist@5.33.1";
+const SWAGGER_UI_CSS_HASH =
+  "sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW";
+const SWAGGER_UI_JS_HASH =
+  "sha384-ZPehFMQommnnuaZ4rpxgkgTT2DKFVp4hZC/7pLit+9Lek9T1YGSo23eHFbvNkXkw";
+
+const DOCS_PAGE = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>AssetManagment API</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css" integrity="${SWAGGER_UI_CSS_HASH}" crossorigin="anonymous" />
+  </head>
+  <body>
+    <div id="docs"></div>
+    <script src="${SWAGGER_UI}/swagger-ui-bundle.js" integrity="${SWAGGER_UI_JS_HASH}" crossorigin="anonymous"></script>
+    <script src="/docs/init.js"></script>
+  </body>
+</html>
+`;
+const DOCS_SCRIPT = `SwaggerUIBundle({ url: "/openapi.json", dom_id: "#docs" });\n`;
+// replaces the API's own policy (middleware/security.js) on the page only
+const DOCS_POLICY = [
+  "default-src 'none'",
+  `script-src 'self' ${SWAGGER_UI}/`,
+  `style-src ${SWAGGER_UI}/ 'unsafe-inline'`,
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "frame-ancestors 'none'",
+].join("; ");
+
+const createDocsRouter = () => {
+  const router = express.Router();
+  // built on first use, once every route is registered
+  let document;
+
+  // OpenAPI document
+  router.get("/openapi.json", (req, res) => {
+    document ??= buildOpenApiDocument({
+      info: {
+        title: "AssetManagment API",
+        version,
+        description: `Corporate asset management backend (${name}).`,
+      },
+      routes: listRoutes(req.app),
+      routeDocs,
+      schemas,
+    });
+    res.send(document);
+  });
+
+  // Interactive docs
+  router.get("/docs", (req, res) => {
+    res.set("Content-Security-Policy", DOCS_POLICY);
+    res.type("html").send(DOCS_PAGE);
+  });
+
+  router.get("/docs/init.js", (req, res) => {
+    res.type("js").send(DOCS_SCRIPT);
+  });
+
+  return router;
+};
+
+module.exports = { createDocsRouter, listRoutes };
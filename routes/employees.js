@@ -0,0 +1,693 @@
+const express = require("express");
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+} = require("../lib/errors");
+const { escapeRegex } = require("../lib/validation");
+const {
+  invitationSchema,
+  joinRequestSchema,
+  invitationResponseSchema,
+} = require("../lib/schemas");
+const {
+  INVITATION_TTL_DAYS,
+  PACKAGE_LIMIT_MESSAGE,
+  hashToken,
+  parsePage,
+} = require("../lib/model");
+const {
+  MAX_BIRTHDAY_DAYS,
+  toDirectoryEntry,
+  upcomingBirthdays,
+} = require("../lib/directory");
+const { companyScope } = require("../middleware/auth");
+const { validateBody, validateIdParam } = require("../middleware/validation");
+
+const createEmployeesRouter = ({
+  collections,
+  services,
+  auth,
+  startSession,
+  mailer,
+}) => {
+  const {
+    users: usersCollection,
+    requests: requestsCollection,
+    assignedAssets: assignedAssetsCollection,
+    employeeAffiliations: employeeAffiliationsCollection,
+    companies: companiesCollection,
+  } = collections;
+  const {
+    recordAudit,
+    notify,
+    getSeatUsage,
+    syncCurrentEmployees,
+    ensureCompany,
+    findCompany,
+    findMembership,
+    companyMemberEmails,
+    activateAffiliation,
+    closeAffiliation,
+  } = services;
+  const { verifyJWT, verifyHR, verifyEmployee, verifyEmailParam } = auth;
+
+  const router = express.Router();
+  router.param("id", validateIdParam);
+
+  // Employee Related Data
+
+  // Get a HRs employee
+  router.get("/my-employees/:email", verifyJWT, verifyHR, async (req, res) => {
+    // 1 Get all asset assignments for this HR
+    const employeeAffiliations = await employeeAffiliationsCollection
+      .find(companyScope(req, { status: "active" }))
+      .toArray();
+
+    const assignedAssets = await assignedAssetsCollection
+      .find(companyScope(req))
+      .toArray();
+
+    // 2 Get unique employee emails
+    const employeeEmails = [
+      ...new Set(employeeAffiliations.map((e) => e.employeeEmail)),
+    ];
+
+    if (employeeEmails.length === 0) {
+      return res.send([]);
+    }
+
+    // 3 Get employee details from usersCollection
+    const employees = await usersCollection
+      .find({
+        email: { $in: employeeEmails },
+      })
+      .toArray();
+
+    // 4 Count assets for each employee
+    const result = employees.map((emp) => {
+      const assetCount = assignedAssets.filter(
+        (a) => a.employeeEmail === emp.email
+      ).length;
+
+      return {
+        name: emp.name,
+        email: emp.email,
+        image: emp.profileImage,
+        assetCount,
+      };
+    });
+
+    res.send(result);
+  });
+
+  // Offboard an employee from the HR's company
+  router.delete(
+    "/my-employees/:email",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const session = startSession();
+      try {
+        const { email: employeeEmail } = req.params;
+
+        const result = await session.withTransaction(async () => {
+          const now = new Date().toISOString();
+
+          // 1 Remove the affiliation
+          const affiliation =
+            await employeeAffiliationsCollection.findOneAndUpdate(
+              companyScope(req, { employeeEmail, status: "active" }),
+              {
+                $set: {
+                  status: "removed",
+                  removedDate: now,
+                  removalReason: "offboarded",
+                },
+              },
+              { session }
+            );
+
+          if (!affiliation) {
+            throw new NotFoundError("Employee Not Found");
+          }
+
+          // 2 Start returns for everything returnable still out with the employee
+          const returns = await assignedAssetsCollection.updateMany(
+            companyScope(req, {
+              employeeEmail,
+              status: "assigned",
+              assetType: { $not: /^non-returnable$/i },
+            }),
+            {
+              $set: {
+                status: "return-requested",
+                returnRequestDate: now,
+                returnCondition: "good",
+                returnNote: "Employee offboarded",
+              },
+            },
+            { session }
+          );
+
+          // 3 Cancel the employee's pending requests
+          const cancelledRequests = await requestsCollection.updateMany(
+            companyScope(req, {
+              requesterEmail: employeeEmail,
+              requestStatus: "pending",
+            }),
+            { $set: { requestStatus: "cancelled", cancelledDate: now } },
+            { session }
+          );
+
+          // 4 Free the package seat
+          const { hr, used } = await getSeatUsage(req.tokenEmail, session);
+          await syncCurrentEmployees(hr, used, session);
+
+          const summary = {
+            employeeEmail,
+            affiliationStatus: "removed",
+            returnsStarted: returns.modifiedCount,
+            requestsCancelled: cancelledRequests.modifiedCount,
+            seatsFreed: 1,
+          };
+
+          await recordAudit(
+            {
+              actor: req.tokenEmail,
+              action: "employee.offboard",
+              targetType: "affiliation",
+              targetId: affiliation._id,
+              hrEmail: req.tokenEmail,
+              before: affiliation,
+              after: {
+                ...affiliation,
+                status: "removed",
+                removedDate: now,
+                removalReason: "offboarded",
+              },
+            },
+            session
+          );
+
+          return summary;
+        });
+
+        res.send(result);
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // Get employees of a company
+  router.get(
+    "/my-team/:companyId",
+    verifyJWT,
+    verifyEmployee,
+    async (req, res) => {
+      const company = await findCompany(req.params.companyId);
+
+      // 1 Only members may see the team
+      await findMembership(req.tokenEmail, company);
+
+      // 2 Get members data from usersCollection
+      const members = await usersCollection
+        .find({ email: { $in: await companyMemberEmails(company) } })
+        .toArray();
+
+      res.send(members.map(toDirectoryEntry));
+    }
+  );
+
+  // Searchable, paginated team directory
+  router.get("/my-team/:companyId/directory", verifyJWT, async (req, res) => {
+    const { search } = req.query;
+    const page = parsePage(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
+    const company = await findCompany(req.params.companyId);
+
+    await findMembership(req.tokenEmail, company);
+
+    const query = { email: { $in: await companyMemberEmails(company) } };
+
+    if (search) {
+      query.name = { $regex: escapeRegex(String(search)), $options: "i" };
+    }
+
+    const members = await usersCollection
+      .find(query)
+      .sort({ name: 1, _id: 1 })
+      .limit(page.limit)
+      .skip(page.skip)
+      .toArray();
+
+    const count = await usersCollection.countDocuments(query);
+
+    res.send({ members: members.map(toDirectoryEntry), total: count });
+  });
+
+  // Team birthdays this month, or today and the next ?days days
+  router.get("/my-team/:companyId/birthdays", verifyJWT, async (req, res) => {
+    let days;
+
+    if (req.query.days !== undefined) {
+      days = Number(req.query.days);
+      if (!Number.isInteger(days) || days < 0 || days > MAX_BIRTHDAY_DAYS) {
+        throw new ValidationError("Invalid Days");
+      }
+    }
+
+    const company = await findCompany(req.params.companyId);
+
+    await findMembership(req.tokenEmail, company);
+
+    const members = await usersCollection
+      .find({
+        email: { $in: await companyMemberEmails(company) },
+        dateOfBirth: { $exists: true },
+      })
+      .toArray();
+
+    res.send(upcomingBirthdays(members, { days }));
+  });
+
+  // Get a member of a company
+  router.get(
+    "/my-companies/:email",
+    verifyJWT,
+    verifyEmployee,
+    verifyEmailParam,
+    async (req, res) => {
+      const employeeEmail = req.tokenEmail;
+
+      const myCompanies = await employeeAffiliationsCollection
+        .find({ employeeEmail, status: "active" })
+        .toArray();
+
+      const result = myCompanies.map((company) => {
+        return {
+          companyId: company.companyId,
+          companyName: company.companyName,
+          companyLogo: company.companyLogo,
+        };
+      });
+
+      res.send(result);
+    }
+  );
+
+  // Affiliation Related APIs
+
+  // Companies an employee can ask to join, HR emails are not handed out
+  router.get("/companies", verifyJWT, verifyEmployee, async (req, res) => {
+    const result = await companiesCollection
+      .find()
+      .project({
+        _id: 0,
+        companyId: { $toString: "$_id" },
+        companyName: "$name",
+        companyLogo: "$logo",
+      })
+      .sort({ name: 1 })
+      .toArray();
+    res.send(result);
+  });
+
+  // Invite an employee to the HR's company
+  router.post(
+    "/invitations",
+    verifyJWT,
+    verifyHR,
+    validateBody(invitationSchema),
+    async (req, res) => {
+      const { employeeEmail } = req.body;
+
+      const { hr, remaining } = await getSeatUsage(req.tokenEmail);
+
+      if (remaining === 0) {
+        throw new ConflictError(PACKAGE_LIMIT_MESSAGE);
+      }
+
+      const company = await ensureCompany(hr);
+
+      const employee = await usersCollection.findOne({
+        email: employeeEmail,
+      });
+
+      if (employee && employee.role !== "employee") {
+        throw new ValidationError("Only employees can be invited");
+      }
+
+      const existingAffiliation = await employeeAffiliationsCollection.findOne(
+        companyScope(req, { employeeEmail })
+      );
+
+      if (existingAffiliation?.status === "active") {
+        throw new ConflictError("Already A Team Member");
+      }
+
+      if (
+        existingAffiliation?.status === "pending" &&
+        existingAffiliation.source === "join-request"
+      ) {
+        throw new ConflictError("Employee Already Asked To Join");
+      }
+
+      const token = crypto.randomBytes(32).toString("hex");
+      const now = new Date();
+      const inviteExpiresAt = new Date(
+        now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+      ).toISOString();
+
+      // one affiliation per employee and company, re-inviting reuses it
+      const invitation = {
+        employeeName: employee?.name,
+        employeeEmail,
+        companyId: company._id.toString(),
+        companyName: hr.companyName,
+        companyLogo: hr.companyLogo,
+        hrEmail: req.tokenEmail,
+        status: "pending",
+        source: "invitation",
+        invitedDate: now.toISOString(),
+        inviteTokenHash: hashToken(token),
+        inviteExpiresAt,
+      };
+
+      const result = await employeeAffiliationsCollection.findOneAndUpdate(
+        companyScope(req, { employeeEmail }),
+        {
+          $set: invitation,
+          $unset: { removedDate: "", removalReason: "" },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+
+      const { inviteTokenHash, ...auditedInvitation } = result;
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "affiliation.invite",
+        targetType: "affiliation",
+        targetId: result._id,
+        hrEmail: req.tokenEmail,
+        before: existingAffiliation,
+        after: auditedInvitation,
+      });
+
+      await notify({
+        recipientEmail: employeeEmail,
+        type: "affiliation.invited",
+        title: "Company invitation",
+        message: `${hr.companyName} invited you to join their team`,
+        data: { invitationId: result._id },
+      });
+
+      mailer.send("invitation", {
+        to: employeeEmail,
+        companyName: hr.companyName,
+        acceptUrl: `${process.env.CLIENT_DOMAIN}/invitations/accept?token=${token}`,
+        expiresAt: inviteExpiresAt,
+      });
+
+      res.status(201).send({
+        invitationId: result._id,
+        employeeEmail,
+        token,
+        expiresAt: inviteExpiresAt,
+      });
+    }
+  );
+
+  // Get the HR's open invitations
+  router.get("/invitations", verifyJWT, verifyHR, async (req, res) => {
+    const result = await employeeAffiliationsCollection
+      .find(companyScope(req, { status: "pending", source: "invitation" }))
+      .project({ inviteTokenHash: 0 })
+      .sort({ invitedDate: -1 })
+      .toArray();
+    res.send(result);
+  });
+
+  // Revoke an invitation
+  router.delete("/invitations/:id", verifyJWT, verifyHR, async (req, res) => {
+    const invitation = await employeeAffiliationsCollection.findOne(
+      companyScope(req, {
+        _id: new ObjectId(req.params.id),
+        status: "pending",
+        source: "invitation",
+      })
+    );
+
+    if (!invitation) {
+      throw new NotFoundError("Invitation Not Found");
+    }
+
+    const result = await closeAffiliation(
+      invitation,
+      req.tokenEmail,
+      "revoked"
+    );
+    res.send(result);
+  });
+
+  // Get invitations sent to the employee
+  router.get("/my-invitations", verifyJWT, verifyEmployee, async (req, res) => {
+    const result = await employeeAffiliationsCollection
+      .find({
+        employeeEmail: req.tokenEmail,
+        status: "pending",
+        source: "invitation",
+        inviteExpiresAt: { $gt: new Date().toISOString() },
+      })
+      .project({ inviteTokenHash: 0 })
+      .sort({ invitedDate: -1 })
+      .toArray();
+    res.send(result);
+  });
+
+  // Find the pending invitation an employee responds to, by emailed token or by id
+  const findInvitation = async (req) => {
+    const { token, invitationId } = req.body;
+
+    if (!token && !invitationId) {
+      throw new ValidationError("token or invitationId is required");
+    }
+
+    const invitation = await employeeAffiliationsCollection.findOne({
+      ...(token
+        ? { inviteTokenHash: hashToken(token) }
+        : { _id: new ObjectId(invitationId) }),
+      employeeEmail: req.tokenEmail,
+      status: "pending",
+      source: "invitation",
+    });
+
+    if (!invitation) {
+      throw new NotFoundError("Invitation Not Found");
+    }
+
+    if (invitation.inviteExpiresAt <= new Date().toISOString()) {
+      throw new GoneError("Invitation Expired");
+    }
+
+    return invitation;
+  };
+
+  // Accept an invitation
+  router.patch(
+    "/invitations/accept",
+    verifyJWT,
+    verifyEmployee,
+    validateBody(invitationResponseSchema),
+    async (req, res) => {
+      const session = startSession();
+      try {
+        const invitation = await findInvitation(req);
+
+        const result = await session.withTransaction(() =>
+          activateAffiliation(invitation, req.tokenEmail, session)
+        );
+
+        res.send(result);
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // Decline an invitation
+  router.patch(
+    "/invitations/decline",
+    verifyJWT,
+    verifyEmployee,
+    validateBody(invitationResponseSchema),
+    async (req, res) => {
+      const invitation = await findInvitation(req);
+
+      const result = await closeAffiliation(
+        invitation,
+        req.tokenEmail,
+        "declined"
+      );
+      res.send(result);
+    }
+  );
+
+  // Ask to join a company
+  router.post(
+    "/join-requests",
+    verifyJWT,
+    verifyEmployee,
+    validateBody(joinRequestSchema),
+    async (req, res) => {
+      const { companyId } = req.body;
+
+      if (!companyId && !req.body.hrEmail) {
+        throw new ValidationError("companyId or hrEmail is required");
+      }
+
+      const hrEmail = companyId
+        ? (await findCompany(companyId)).hrEmail
+        : req.body.hrEmail;
+
+      const hr = await usersCollection.findOne({
+        email: hrEmail,
+        role: "hr",
+      });
+
+      if (!hr) {
+        throw new NotFoundError("Company Not Found");
+      }
+
+      const company = await ensureCompany(hr);
+
+      const existingAffiliation = await employeeAffiliationsCollection.findOne({
+        employeeEmail: req.tokenEmail,
+        hrEmail,
+      });
+
+      if (existingAffiliation?.status === "active") {
+        throw new ConflictError("Already A Team Member");
+      }
+
+      if (existingAffiliation?.status === "pending") {
+        throw new ConflictError(
+          existingAffiliation.source === "invitation"
+            ? "You Already Have An Invitation From This Company"
+            : "Already Requested To Join"
+        );
+      }
+
+      const employee = await usersCollection.findOne({
+        email: req.tokenEmail,
+      });
+
+      const joinRequest = {
+        employeeName: employee?.name,
+        employeeEmail: req.tokenEmail,
+        companyId: company._id.toString(),
+        companyName: hr.companyName,
+        companyLogo: hr.companyLogo,
+        hrEmail,
+        status: "pending",
+        source: "join-request",
+        requestedDate: new Date().toISOString(),
+      };
+
+      const result = await employeeAffiliationsCollection.findOneAndUpdate(
+        { employeeEmail: req.tokenEmail, hrEmail },
+        {
+          $set: joinRequest,
+          $unset: { removedDate: "", removalReason: "" },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "affiliation.join-request",
+        targetType: "affiliation",
+        targetId: result._id,
+        hrEmail,
+        before: existingAffiliation,
+        after: result,
+      });
+
+      res.status(201).send(result);
+    }
+  );
+
+  // Get join requests to the HR's company
+  router.get("/join-requests", verifyJWT, verifyHR, async (req, res) => {
+    const result = await employeeAffiliationsCollection
+      .find(companyScope(req, { status: "pending", source: "join-request" }))
+      .sort({ requestedDate: -1 })
+      .toArray();
+    res.send(result);
+  });
+
+  const findJoinRequest = async (req, session) => {
+    const joinRequest = await employeeAffiliationsCollection.findOne(
+      companyScope(req, {
+        _id: new ObjectId(req.params.id),
+        status: "pending",
+        source: "join-request",
+      }),
+      { session }
+    );
+
+    if (!joinRequest) {
+      throw new NotFoundError("Join Request Not Found");
+    }
+
+    return joinRequest;
+  };
+
+  // Approve a join request
+  router.patch(
+    "/join-requests/:id/approve",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const session = startSession();
+      try {
+        const result = await session.withTransaction(async () => {
+          const joinRequest = await findJoinRequest(req, session);
+          return activateAffiliation(joinRequest, req.tokenEmail, session);
+        });
+
+        res.send(result);
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // Reject a join request
+  router.patch(
+    "/join-requests/:id/reject",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const joinRequest = await findJoinRequest(req);
+
+      const result = await closeAffiliation(
+        joinRequest,
+        req.tokenEmail,
+        "rejected"
+      );
+      res.send(result);
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createEmployeesRouter };
@@ -0,0 +1,112 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { ValidationError, NotFoundError } = require("../lib/errors");
+const { parsePage } = require("../lib/model");
+const { validateIdParam } = require("../middleware/validation");
+const { sendEvent } = require("../services/notifications");
+
+const createNotificationsRouter = ({ collections, services, auth }) => {
+  const { notifications: notificationsCollection } = collections;
+  const { openStream } = services;
+  const { verifyJWT, tokenFromQuery } = auth;
+
+  const router = express.Router();
+  router.param("id", validateIdParam);
+
+  // Notification APIs
+
+  // Get the caller's notifications
+  router.get("/notifications", verifyJWT, async (req, res) => {
+    const { unread } = req.query;
+    const page = parsePage(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
+
+    const query = { recipientEmail: req.tokenEmail };
+
+    if (unread === "true") {
+      query.read = false;
+    }
+
+    const result = await notificationsCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .limit(page.limit)
+      .skip(page.skip)
+      .toArray();
+
+    const count = await notificationsCollection.countDocuments(query);
+
+    res.send({ notifications: result, total: count });
+  });
+
+  // Get the number of unread notifications
+  router.get("/notifications/unread-count", verifyJWT, async (req, res) => {
+    const count = await notificationsCollection.countDocuments({
+      recipientEmail: req.tokenEmail,
+      read: false,
+    });
+    res.send({ count });
+  });
+
+  // Live notifications over Server-Sent Events
+  router.get(
+    "/notifications/stream",
+    tokenFromQuery,
+    verifyJWT,
+    async (req, res) => {
+      const email = req.tokenEmail;
+
+      const count = await notificationsCollection.countDocuments({
+        recipientEmail: email,
+        read: false,
+      });
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.flushHeaders();
+      sendEvent(res, "unread-count", { count });
+
+      const closeStream = openStream(email, res);
+
+      // keep proxies from closing an idle stream
+      const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        closeStream();
+      });
+    }
+  );
+
+  // Mark every notification read
+  router.patch("/notifications/read-all", verifyJWT, async (req, res) => {
+    const result = await notificationsCollection.updateMany(
+      { recipientEmail: req.tokenEmail, read: false },
+      { $set: { read: true, readAt: new Date().toISOString() } }
+    );
+    res.send(result);
+  });
+
+  // Mark a notification read
+  router.patch("/notifications/:id/read", verifyJWT, async (req, res) => {
+    const result = await notificationsCollection.updateOne(
+      { _id: new ObjectId(req.params.id), recipientEmail: req.tokenEmail },
+      { $set: { read: true, readAt: new Date().toISOString() } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError("Notification Not Found");
+    }
+
+    res.send(result);
+  });
+
+  return router;
+};
+
+module.exports = { createNotificationsRouter };
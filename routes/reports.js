@@ -0,0 +1,320 @@
+const express = require("express");
+const { ValidationError } = require("../lib/errors");
+const { parsePage } = require("../lib/model");
+const { companyScope } = require("../middleware/auth");
+
+const createReportsRouter = ({ collections, services, auth }) => {
+  const {
+    assets: assetsCollection,
+    requests: requestsCollection,
+    assignedAssets: assignedAssetsCollection,
+    auditLogs: auditLogsCollection,
+  } = collections;
+  const { getSeatUsage } = services;
+  const { verifyJWT, verifyHR } = auth;
+
+  const router = express.Router();
+
+  // Analytics APIs (HR dashboard)
+
+  // Returnable vs non-returnable asset counts
+  router.get(
+    "/analytics/asset-types",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const assetTypes = await assetsCollection
+        .aggregate([
+          { $match: companyScope(req, { archivedAt: null }) },
+          {
+            $group: {
+              _id: { $toLower: "$productType" },
+              assets: { $sum: 1 },
+              totalQuantity: { $sum: "$productQuantity" },
+              availableQuantity: { $sum: "$availableQuantity" },
+            },
+          },
+        ])
+        .toArray();
+
+      const assignedTypes = await assignedAssetsCollection
+        .aggregate([
+          {
+            $match: companyScope(req, {
+              status: { $in: ["assigned", "return-requested"] },
+            }),
+          },
+          { $group: { _id: { $toLower: "$assetType" }, count: { $sum: 1 } } },
+        ])
+        .toArray();
+
+      const result = assetTypes.map((type) => ({
+        type: type._id,
+        assets: type.assets,
+        totalQuantity: type.totalQuantity,
+        availableQuantity: type.availableQuantity,
+        assigned:
+          assignedTypes.find((assigned) => assigned._id === type._id)?.count ??
+          0,
+      }));
+
+      res.send(result);
+    }
+  );
+
+  // Most requested assets
+  router.get(
+    "/analytics/top-requested",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const limit = Number(req.query.limit ?? 5);
+
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new ValidationError("Invalid Limit");
+      }
+
+      const result = await requestsCollection
+        .aggregate([
+          { $match: companyScope(req) },
+          {
+            $group: {
+              _id: "$assetId",
+              assetName: { $last: "$assetName" },
+              requests: { $sum: 1 },
+            },
+          },
+          { $sort: { requests: -1, assetName: 1 } },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              assetId: "$_id",
+              assetName: 1,
+              requests: 1,
+            },
+          },
+        ])
+        .toArray();
+
+      res.send(result);
+    }
+  );
+
+  // Request volume over time with approve/reject ratios
+  router.get(
+    "/analytics/request-volume",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const { interval = "month", from, to } = req.query;
+
+      if (!["day", "week", "month"].includes(interval)) {
+        throw new ValidationError("Invalid Interval");
+      }
+
+      const match = companyScope(req);
+
+      if (from || to) {
+        const dates = [from, to].filter(Boolean).map((d) => new Date(d));
+        if (dates.some((date) => Number.isNaN(date.getTime()))) {
+          throw new ValidationError("Invalid Date");
+        }
+
+        match.requestDate = {};
+        if (from) match.requestDate.$gte = new Date(from).toISOString();
+        if (to) match.requestDate.$lte = new Date(to).toISOString();
+      }
+
+      const countStatus = (...statuses) => ({
+        $sum: { $cond: [{ $in: ["$requestStatus", statuses] }, 1, 0] },
+      });
+
+      const result = await requestsCollection
+        .aggregate([
+          { $match: match },
+          {
+            $group: {
+              _id: {
+                $dateTrunc: {
+                  date: { $toDate: "$requestDate" },
+                  unit: interval,
+                },
+              },
+              total: { $sum: 1 },
+              // a returned request was approved first
+              approved: countStatus("approved", "returned"),
+              rejected: countStatus("rejected"),
+              pending: countStatus("pending"),
+              cancelled: countStatus("cancelled"),
+            },
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              period: "$_id",
+              total: 1,
+              approved: 1,
+              rejected: 1,
+              pending: 1,
+              cancelled: 1,
+              approvalRate: {
+                $cond: [
+                  { $gt: [{ $add: ["$approved", "$rejected"] }, 0] },
+                  {
+                    $divide: [
+                      "$approved",
+                      { $add: ["$approved", "$rejected"] },
+                    ],
+                  },
+                  null,
+                ],
+              },
+            },
+          },
+        ])
+        .toArray();
+
+      res.send(result);
+    }
+  );
+
+  // Average time from requestDate to approvalDate
+  router.get(
+    "/analytics/approval-time",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const [result] = await requestsCollection
+        .aggregate([
+          {
+            $match: companyScope(req, {
+              requestStatus: { $in: ["approved", "returned"] },
+              approvalDate: { $type: "string" },
+            }),
+          },
+          {
+            $project: {
+              duration: {
+                $subtract: [
+                  { $toDate: "$approvalDate" },
+                  { $toDate: "$requestDate" },
+                ],
+              },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              approvedRequests: { $sum: 1 },
+              averageMs: { $avg: "$duration" },
+              minMs: { $min: "$duration" },
+              maxMs: { $max: "$duration" },
+            },
+          },
+          { $project: { _id: 0 } },
+        ])
+        .toArray();
+
+      const hours = (ms) => (ms == null ? null : ms / (60 * 60 * 1000));
+
+      res.send({
+        approvedRequests: result?.approvedRequests ?? 0,
+        averageHours: hours(result?.averageMs),
+        minHours: hours(result?.minMs),
+        maxHours: hours(result?.maxMs),
+      });
+    }
+  );
+
+  // Assets running out of stock
+  router.get("/analytics/low-stock", verifyJWT, verifyHR, async (req, res) => {
+    const threshold = Number(req.query.threshold ?? 5);
+
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      throw new ValidationError("Invalid Threshold");
+    }
+
+    const result = await assetsCollection
+      .find(
+        companyScope(req, {
+          availableQuantity: { $lte: threshold },
+          archivedAt: null,
+        })
+      )
+      .project({
+        productName: 1,
+        productType: 1,
+        productQuantity: 1,
+        availableQuantity: 1,
+      })
+      .sort({ availableQuantity: 1, productName: 1 })
+      .toArray();
+
+    res.send(result);
+  });
+
+  // Package usage of the HR
+  router.get(
+    "/analytics/package-usage",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const { hr, packageLimit, used, remaining } = await getSeatUsage(
+        req.tokenEmail
+      );
+
+      res.send({
+        currentEmployees: hr.currentEmployees ?? 0,
+        packageLimit,
+        activeEmployees: used,
+        remaining,
+      });
+    }
+  );
+
+  // Audit Log APIs
+
+  // Get the audit trail of the HR's company
+  router.get("/audit-log", verifyJWT, verifyHR, async (req, res) => {
+    const { action, targetType, targetId, actor, from, to } = req.query;
+    const page = parsePage(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
+
+    const query = companyScope(req);
+
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (actor) query.actor = actor;
+
+    if (from || to) {
+      const dates = [from, to].filter(Boolean).map((d) => new Date(d));
+      if (dates.some((date) => Number.isNaN(date.getTime()))) {
+        throw new ValidationError("Invalid Date");
+      }
+
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from).toISOString();
+      if (to) query.createdAt.$lte = new Date(to).toISOString();
+    }
+
+    const result = await auditLogsCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .limit(page.limit)
+      .skip(page.skip)
+      .toArray();
+
+    const count = await auditLogsCollection.countDocuments(query);
+
+    res.send({ logs: result, total: count });
+  });
+
+  return router;
+};
+
+module.exports = { createReportsRouter };
@@ -0,0 +1,725 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../lib/errors");
+const {
+  assetRequestSchema,
+  assignmentSchema,
+  rejectionSchema,
+  assetReturnSchema,
+  returnConfirmationSchema,
+} = require("../lib/schemas");
+const {
+  isNonReturnable,
+  REQUEST_STATUSES,
+  canTransitionRequest,
+  openRequestFilter,
+  parsePage,
+} = require("../lib/model");
+const { companyScope } = require("../middleware/auth");
+const { validateBody, validateIdParam } = require("../middleware/validation");
+
+const createRequestsRouter = ({
+  collections,
+  services,
+  auth,
+  rateLimits,
+  startSession,
+  mailer,
+}) => {
+  const {
+    users: usersCollection,
+    assets: assetsCollection,
+    requests: requestsCollection,
+    assignedAssets: assignedAssetsCollection,
+    employeeAffiliations: employeeAffiliationsCollection,
+  } = collections;
+  const { recordAudit, notify, assignAsset, adjustStock, findCompany } =
+    services;
+  const { verifyJWT, verifyHR, verifyEmployee, verifyEmailParam } = auth;
+
+  const router = express.Router();
+  router.param("id", validateIdParam);
+
+  // Request Related APIs
+
+  // Post assigned asset (direct assignment from HR)
+  router.post(
+    "/assigned-assets",
+    verifyJWT,
+    verifyHR,
+    validateBody(assignmentSchema),
+    async (req, res) => {
+      const session = startSession();
+      try {
+        const assignmentData = req.body;
+        const employeeEmail = assignmentData.employeeEmail;
+        const assetId = assignmentData.assetId;
+        const hrEmail = req.tokenEmail;
+        let asset;
+
+        const result = await session.withTransaction(async () => {
+          asset = await assetsCollection.findOne(
+            companyScope(req, {
+              _id: new ObjectId(assetId),
+              archivedAt: null,
+            }),
+            { session }
+          );
+
+          if (!asset) {
+            throw new NotFoundError("Asset Not Found");
+          }
+
+          // Get HR info
+          const hr = await usersCollection.findOne(
+            { email: hrEmail },
+            { session }
+          );
+
+          if (!hr) {
+            throw new NotFoundError("HR not found");
+          }
+
+          return assignAsset(
+            {
+              asset,
+              hr,
+              employeeEmail,
+              employeeName: assignmentData.employeeName,
+              companyName: assignmentData.companyName,
+              actor: req.tokenEmail,
+            },
+            session
+          );
+        });
+
+        await notify({
+          recipientEmail: employeeEmail,
+          type: "asset.assigned",
+          title: "Asset assigned",
+          message: `${asset.productName} was assigned to you`,
+          data: { assignedAssetId: result.insertedId, assetId },
+        });
+
+        mailer.send("assetAssigned", {
+          to: employeeEmail,
+          employeeName: assignmentData.employeeName,
+          assetName: asset.productName,
+          companyName: assignmentData.companyName,
+        });
+
+        res.status(201).send(result);
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // Post asset request
+  router.post(
+    "/asset-requests",
+    verifyJWT,
+    verifyEmployee,
+    rateLimits.assetRequest,
+    validateBody(assetRequestSchema),
+    async (req, res) => {
+      const { assetId, note } = req.body;
+
+      // rejected, cancelled and returned requests do not block a new one
+      const existingRequest = await requestsCollection.findOne({
+        assetId,
+        requesterEmail: req.tokenEmail,
+        ...openRequestFilter(),
+      });
+
+      if (existingRequest) {
+        throw new ConflictError("Already Requested");
+      }
+
+      const asset = await assetsCollection.findOne({
+        _id: new ObjectId(assetId),
+        archivedAt: null,
+      });
+
+      if (!asset) {
+        throw new NotFoundError("Asset Not Found");
+      }
+
+      const affiliation = await employeeAffiliationsCollection.findOne({
+        employeeEmail: req.tokenEmail,
+        hrEmail: asset.hrEmail,
+        status: "active",
+      });
+
+      if (!affiliation) {
+        throw new ForbiddenError(
+          "Join this company before requesting its assets"
+        );
+      }
+
+      const requester = await usersCollection.findOne({
+        email: req.tokenEmail,
+      });
+      const hr = await usersCollection.findOne({ email: asset.hrEmail });
+
+      // everything but the note comes from the stored asset and users
+      const requestData = {
+        assetId,
+        assetName: asset.productName,
+        assetImage: asset.productImage,
+        assetType: asset.productType,
+        requesterName: requester?.name,
+        requesterEmail: req.tokenEmail,
+        hrEmail: asset.hrEmail,
+        companyName: hr?.companyName ?? asset.companyName,
+        note,
+        requestDate: new Date().toISOString(),
+        approvalDate: null,
+        requestStatus: "pending",
+      };
+
+      const result = await requestsCollection.insertOne(requestData);
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "request.create",
+        targetType: "request",
+        targetId: result.insertedId,
+        hrEmail: asset.hrEmail,
+        after: requestData,
+      });
+
+      await notify({
+        recipientEmail: asset.hrEmail,
+        type: "request.created",
+        title: "New asset request",
+        message: `${requestData.requesterName} requested ${asset.productName}`,
+        data: { requestId: result.insertedId, assetId },
+      });
+
+      res.status(201).send(result);
+    }
+  );
+
+  // Get the logged in employee's own requests
+  router.get("/my-requests", verifyJWT, verifyEmployee, async (req, res) => {
+    const { status, companyId } = req.query;
+    const page = parsePage(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
+
+    const query = { requesterEmail: req.tokenEmail };
+
+    if (status) {
+      if (!REQUEST_STATUSES.includes(status)) {
+        throw new ValidationError("Invalid Status");
+      }
+      query.requestStatus = status;
+    }
+
+    if (companyId) {
+      query.hrEmail = (await findCompany(companyId)).hrEmail;
+    }
+
+    const result = await requestsCollection
+      .find(query)
+      .sort({ requestDate: -1 })
+      .limit(page.limit)
+      .skip(page.skip)
+      .toArray();
+
+    const count = await requestsCollection.countDocuments(query);
+
+    res.send({ requests: result, total: count });
+  });
+
+  // Cancel one of the logged in employee's pending requests
+  router.delete(
+    "/my-requests/:id",
+    verifyJWT,
+    verifyEmployee,
+    async (req, res) => {
+      const query = {
+        _id: new ObjectId(req.params.id),
+        requesterEmail: req.tokenEmail,
+      };
+
+      const existingRequest = await requestsCollection.findOne(query);
+
+      if (!existingRequest) {
+        throw new NotFoundError("Request Not Found");
+      }
+
+      if (!canTransitionRequest(existingRequest.requestStatus, "cancelled")) {
+        throw new ConflictError(
+          `Cannot Cancel A ${existingRequest.requestStatus} Request`
+        );
+      }
+
+      const update = {
+        $set: {
+          requestStatus: "cancelled",
+          cancelledDate: new Date().toISOString(),
+        },
+      };
+
+      // conditional on pending so a concurrent approval wins cleanly
+      const result = await requestsCollection.updateOne(
+        { ...query, requestStatus: "pending" },
+        update
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new ConflictError("Already Processed");
+      }
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "request.cancel",
+        targetType: "request",
+        targetId: existingRequest._id,
+        hrEmail: existingRequest.hrEmail,
+        before: existingRequest,
+        after: { ...existingRequest, ...update.$set },
+      });
+
+      await notify({
+        recipientEmail: existingRequest.hrEmail,
+        type: "request.cancelled",
+        title: "Request cancelled",
+        message: `${existingRequest.requesterName} cancelled their request for ${existingRequest.assetName}`,
+        data: {
+          requestId: existingRequest._id,
+          assetId: existingRequest.assetId,
+        },
+      });
+
+      res.send(result);
+    }
+  );
+
+  // Get asset requests
+  router.get(
+    "/asset-requests/:email",
+    verifyJWT,
+    verifyHR,
+    verifyEmailParam,
+    async (req, res) => {
+      const page = parsePage(req.query);
+      if (page.error) {
+        throw new ValidationError(page.error);
+      }
+
+      const query = companyScope(req);
+
+      const result = await requestsCollection
+        .find(query)
+        .sort({ requestDate: -1 })
+        .limit(page.limit)
+        .skip(page.skip)
+        .toArray();
+
+      const count = await requestsCollection.countDocuments(query);
+
+      res.send({ requests: result, total: count });
+    }
+  );
+
+  // Approve employee request
+  router.patch(
+    "/approve-employee-requests/:id",
+    verifyJWT,
+    verifyHR,
+    async (req, res) => {
+      const session = startSession();
+      try {
+        const { id } = req.params;
+        const query = companyScope(req, { _id: new ObjectId(id) });
+        let request;
+
+        const result = await session.withTransaction(async () => {
+          request = await requestsCollection.findOne(query, {
+            session,
+          });
+
+          if (!request) {
+            throw new NotFoundError("Request Not Found");
+          }
+          if (!canTransitionRequest(request.requestStatus, "approved")) {
+            throw new ConflictError(
+              `Cannot Approve A ${request.requestStatus} Request`
+            );
+          }
+
+          const update = {
+            $set: {
+              requestStatus: "approved",
+              approvalDate: new Date().toISOString(),
+            },
+          };
+
+          // Only a still pending request can be approved, a concurrent approval loses here
+          const requestUpdate = await requestsCollection.updateOne(
+            { ...query, requestStatus: "pending" },
+            update,
+            { session }
+          );
+
+          if (requestUpdate.modifiedCount === 0) {
+            throw new ConflictError("Request Already Processed");
+          }
+
+          const asset = await assetsCollection.findOne(
+            companyScope(req, {
+              _id: new ObjectId(request.assetId),
+              archivedAt: null,
+            }),
+            { session }
+          );
+
+          if (!asset) {
+            throw new NotFoundError("Asset Not Found");
+          }
+
+          const hr = await usersCollection.findOne(
+            { email: req.tokenEmail },
+            { session }
+          );
+
+          if (!hr) {
+            throw new NotFoundError("HR not found");
+          }
+
+          await assignAsset(
+            {
+              asset,
+              hr,
+              employeeEmail: request.requesterEmail,
+              employeeName: request.requesterName,
+              companyName: request.companyName,
+              actor: req.tokenEmail,
+              requestId: request._id,
+            },
+            session
+          );
+
+          await recordAudit(
+            {
+              actor: req.tokenEmail,
+              action: "request.approve",
+              targetType: "request",
+              targetId: request._id,
+              hrEmail: req.tokenEmail,
+              before: request,
+              after: { ...request, ...update.$set },
+            },
+            session
+          );
+
+          return requestUpdate;
+        });
+
+        await notify({
+          recipientEmail: request.requesterEmail,
+          type: "request.approved",
+          title: "Request approved",
+          message: `Your request for ${request.assetName} was approved`,
+          data: { requestId: request._id, assetId: request.assetId },
+        });
+
+        mailer.send("requestApproved", {
+          to: request.requesterEmail,
+          employeeName: request.requesterName,
+          assetName: request.assetName,
+          companyName: request.companyName,
+        });
+
+        res.send(result);
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // Reject employee request
+  router.patch(
+    "/reject-employee-requests/:id",
+    verifyJWT,
+    verifyHR,
+    validateBody(rejectionSchema),
+    async (req, res) => {
+      const { id } = req.params;
+      const query = companyScope(req, { _id: new ObjectId(id) });
+
+      const update = {
+        $set: {
+          requestStatus: "rejected",
+          rejectionDate: new Date().toISOString(),
+        },
+      };
+
+      const existingRequest = await requestsCollection.findOne(query);
+
+      if (!existingRequest) {
+        throw new NotFoundError("Request Not Found");
+      }
+
+      if (!canTransitionRequest(existingRequest.requestStatus, "rejected")) {
+        throw new ConflictError("Already Processed");
+      }
+
+      // conditional on pending so a concurrent approval or cancel wins cleanly
+      const result = await requestsCollection.updateOne(
+        { ...query, requestStatus: "pending" },
+        update
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new ConflictError("Already Processed");
+      }
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "request.reject",
+        targetType: "request",
+        targetId: existingRequest._id,
+        hrEmail: req.tokenEmail,
+        before: existingRequest,
+        after: { ...existingRequest, ...update.$set },
+      });
+
+      await notify({
+        recipientEmail: existingRequest.requesterEmail,
+        type: "request.rejected",
+        title: "Request rejected",
+        message: `Your request for ${existingRequest.assetName} was rejected`,
+        data: {
+          requestId: existingRequest._id,
+          assetId: existingRequest.assetId,
+        },
+      });
+
+      mailer.send("requestRejected", {
+        to: existingRequest.requesterEmail,
+        employeeName: existingRequest.requesterName,
+        assetName: existingRequest.assetName,
+        companyName: existingRequest.companyName,
+      });
+
+      res.send(result);
+    }
+  );
+
+  // Request return of an assigned asset (employee)
+  router.patch(
+    "/return-asset/:id",
+    verifyJWT,
+    verifyEmployee,
+    validateBody(assetReturnSchema),
+    async (req, res) => {
+      const { condition, note } = req.body;
+      const { id } = req.params;
+      const query = {
+        _id: new ObjectId(id),
+        employeeEmail: req.tokenEmail,
+      };
+
+      const assignedAsset = await assignedAssetsCollection.findOne(query);
+
+      if (!assignedAsset) {
+        throw new NotFoundError("Assigned Asset Not Found");
+      }
+
+      if (isNonReturnable(assignedAsset.assetType)) {
+        throw new ValidationError("Non-returnable assets can not be returned");
+      }
+
+      if (assignedAsset.status !== "assigned") {
+        throw new ConflictError("Asset Is Not Currently Assigned");
+      }
+
+      const update = {
+        $set: {
+          status: "return-requested",
+          returnRequestDate: new Date().toISOString(),
+          returnCondition: condition,
+          returnNote: note,
+        },
+      };
+
+      const result = await assignedAssetsCollection.updateOne(
+        { ...query, status: "assigned" },
+        update
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new ConflictError("Asset Is Not Currently Assigned");
+      }
+
+      await recordAudit({
+        actor: req.tokenEmail,
+        action: "assignment.return-request",
+        targetType: "assignedAsset",
+        targetId: assignedAsset._id,
+        hrEmail: assignedAsset.hrEmail,
+        before: assignedAsset,
+        after: { ...assignedAsset, ...update.$set },
+      });
+
+      await notify({
+        recipientEmail: assignedAsset.hrEmail,
+        type: "return.requested",
+        title: "Return requested",
+        message: `${assignedAsset.employeeName} wants to return ${assignedAsset.assetName}`,
+        data: { assignedAssetId: assignedAsset._id },
+      });
+
+      res.send(result);
+    }
+  );
+
+  // Confirm return of an assigned asset (HR)
+  router.patch(
+    "/confirm-asset-return/:id",
+    verifyJWT,
+    verifyHR,
+    validateBody(returnConfirmationSchema),
+    async (req, res) => {
+      const session = startSession();
+      try {
+        const { id } = req.params;
+        const query = companyScope(req, { _id: new ObjectId(id) });
+        let assignedAsset;
+        let condition;
+
+        // the assignment, the stock and the request change together, a
+        // return half applied could never be confirmed again
+        const result = await session.withTransaction(async () => {
+          assignedAsset = await assignedAssetsCollection.findOne(query, {
+            session,
+          });
+
+          if (!assignedAsset) {
+            throw new NotFoundError("Assigned Asset Not Found");
+          }
+
+          if (assignedAsset.status !== "return-requested") {
+            throw new ConflictError("No Pending Return For This Asset");
+          }
+
+          // HR inspects the item and may correct the condition the employee reported
+          condition =
+            req.body.condition || assignedAsset.returnCondition || "good";
+
+          const update = {
+            $set: {
+              status: "returned",
+              returnDate: new Date().toISOString(),
+              returnCondition: condition,
+              returnConfirmedBy: req.tokenEmail,
+            },
+          };
+
+          const assignmentUpdate = await assignedAssetsCollection.updateOne(
+            { ...query, status: "return-requested" },
+            update,
+            { session }
+          );
+
+          if (assignmentUpdate.modifiedCount === 0) {
+            throw new ConflictError("No Pending Return For This Asset");
+          }
+
+          // Only usable items go back into stock, the rest is written off
+          if (condition === "good") {
+            await assetsCollection.updateOne(
+              { _id: new ObjectId(assignedAsset.assetId) },
+              { $inc: { availableQuantity: 1 } },
+              { session }
+            );
+          } else {
+            const asset = await assetsCollection.findOne(
+              { _id: new ObjectId(assignedAsset.assetId) },
+              { session }
+            );
+
+            if (asset) {
+              await adjustStock(
+                {
+                  asset,
+                  type: condition,
+                  quantity: 1,
+                  inc: { writtenOffQuantity: 1 },
+                  reason:
+                    assignedAsset.returnNote ||
+                    `Returned ${condition} by ${assignedAsset.employeeEmail}`,
+                  actor: req.tokenEmail,
+                  assignedAssetId: assignedAsset._id,
+                },
+                session
+              );
+            }
+          }
+
+          // Close the request the unit was handed out for, older assignments have no requestId
+          await requestsCollection.updateOne(
+            assignedAsset.requestId
+              ? {
+                  _id: new ObjectId(assignedAsset.requestId),
+                  requestStatus: "approved",
+                }
+              : {
+                  assetId: assignedAsset.assetId,
+                  requesterEmail: assignedAsset.employeeEmail,
+                  requestStatus: "approved",
+                },
+            {
+              $set: {
+                requestStatus: "returned",
+                returnedDate: update.$set.returnDate,
+              },
+            },
+            { session }
+          );
+
+          await recordAudit(
+            {
+              actor: req.tokenEmail,
+              action: "assignment.return-confirm",
+              targetType: "assignedAsset",
+              targetId: assignedAsset._id,
+              hrEmail: req.tokenEmail,
+              before: assignedAsset,
+              after: { ...assignedAsset, ...update.$set },
+            },
+            session
+          );
+
+          return assignmentUpdate;
+        });
+
+        await notify({
+          recipientEmail: assignedAsset.employeeEmail,
+          type: "return.confirmed",
+          title: "Return confirmed",
+          message: `Your return of ${assignedAsset.assetName} was confirmed`,
+          data: { assignedAssetId: assignedAsset._id, condition },
+        });
+
+        res.send(result);
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createRequestsRouter };
@@ -0,0 +1,136 @@
+const express = require("express");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../lib/errors");
+const { userSchema, userUpdateSchema } = require("../lib/schemas");
+const { DEFAULT_PACKAGE_LIMIT } = require("../lib/model");
+const { validateBody } = require("../middleware/validation");
+
+const createUsersRouter = ({ collections, services, auth, rateLimits }) => {
+  const { users: usersCollection } = collections;
+  const { recordAudit, ensureCompany } = services;
+  const { verifyJWT } = auth;
+
+  const router = express.Router();
+
+  //User related APIs
+  // post new users, unauthenticated so sign ups are limited per IP
+  router.post(
+    "/users",
+    rateLimits.signUp,
+    validateBody(userSchema),
+    async (req, res) => {
+      const userInfo = req.body;
+
+      if (userInfo.role === "hr" && !userInfo.companyName) {
+        throw new ValidationError("Validation Failed", [
+          { field: "companyName", message: "companyName is required" },
+        ]);
+      }
+
+      const existingUser = await usersCollection.findOne({
+        email: userInfo?.email,
+      });
+
+      if (existingUser) {
+        throw new ConflictError("User already exits");
+      }
+
+      // package and team counters are owned by the server
+      if (userInfo.role === "hr") {
+        userInfo.packageLimit = DEFAULT_PACKAGE_LIMIT;
+        userInfo.currentEmployees = 0;
+      }
+      userInfo.createdAt = new Date().toISOString();
+
+      const result = await usersCollection.insertOne(userInfo);
+
+      if (userInfo.role === "hr") {
+        await ensureCompany({ ...userInfo, _id: result.insertedId });
+      }
+
+      res.status(201).send(result);
+    }
+  );
+
+  // get  user
+  router.get("/users", verifyJWT, async (req, res) => {
+    const result = await usersCollection.findOne({ email: req.tokenEmail });
+    res.send(result);
+  });
+
+  // Get specific user by email (used by Profile.jsx)
+  router.get("/users/:email", verifyJWT, async (req, res) => {
+    const email = req.params.email;
+
+    // Security: make sure requested email matches token email
+    if (email !== req.tokenEmail) {
+      throw new ForbiddenError("Forbidden Access");
+    }
+
+    const user = await usersCollection.findOne({ email });
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    res.send(user);
+  });
+
+  // get users role
+  router.get("/user/role", verifyJWT, async (req, res) => {
+    const email = req.tokenEmail;
+    const result = await usersCollection.findOne({ email });
+    res.send({ role: result?.role });
+  });
+
+  // update user
+  router.patch(
+    "/user",
+    verifyJWT,
+    validateBody(userUpdateSchema, { partial: true }),
+    async (req, res) => {
+      const email = req.tokenEmail;
+
+      const before = await usersCollection.findOne({ email });
+
+      if (!before) {
+        throw new NotFoundError("User not found");
+      }
+
+      // privacy settings are merged so one switch can change at a time
+      const { privacy, ...fields } = req.body;
+      const update = { ...fields };
+      for (const [key, value] of Object.entries(privacy ?? {})) {
+        update[`privacy.${key}`] = value;
+      }
+
+      const result = await usersCollection.updateOne(
+        { email },
+        { $set: update }
+      );
+
+      await recordAudit({
+        actor: email,
+        action: "user.update",
+        targetType: "user",
+        targetId: before._id,
+        hrEmail: before.role === "hr" ? email : null,
+        before,
+        after: {
+          ...before,
+          ...fields,
+          ...(privacy && { privacy: { ...before.privacy, ...privacy } }),
+        },
+      });
+
+      res.send(result);
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createUsersRouter };
@@ -0,0 +1,130 @@
+const { ConflictError } = require("../lib/errors");
+const { PACKAGE_LIMIT_MESSAGE } = require("../lib/model");
+
+// Package seats and the affiliation lifecycle that consumes them
+const createAffiliationService = ({ collections, recordAudit }) => {
+  const {
+    users: usersCollection,
+    employeeAffiliations: employeeAffiliationsCollection,
+  } = collections;
+
+  // Seats are driven by active affiliations, packageLimit is the total the HR bought
+  const getSeatUsage = async (hrEmail, session) => {
+    const hr = await usersCollection.findOne(
+      { email: hrEmail, role: "hr" },
+      { session }
+    );
+    const used = await employeeAffiliationsCollection.countDocuments(
+      { hrEmail, status: "active" },
+      { session }
+    );
+    const packageLimit = hr?.packageLimit ?? 0;
+
+    return {
+      hr,
+      packageLimit,
+      used,
+      remaining: Math.max(packageLimit - used, 0),
+    };
+  };
+
+  // Keep the HR's currentEmployees counter in step with the active affiliations.
+  // Writing the HR document also makes concurrent seat changes of one company
+  // conflict, so the transaction that loses is retried against the new count.
+  const syncCurrentEmployees = (hr, currentEmployees, session) =>
+    usersCollection.updateOne(
+      { _id: hr._id },
+      { $set: { currentEmployees } },
+      { session }
+    );
+
+  // Move a pending affiliation to active, this is where a package seat is consumed.
+  // Runs inside a transaction.
+  const activateAffiliation = async (affiliation, actor, session) => {
+    const { hr, used, remaining } = await getSeatUsage(
+      affiliation.hrEmail,
+      session
+    );
+
+    if (!hr || remaining === 0) {
+      throw new ConflictError(PACKAGE_LIMIT_MESSAGE);
+    }
+
+    await syncCurrentEmployees(hr, used + 1, session);
+
+    const activation = {
+      status: "active",
+      affiliationDate: new Date().toISOString(),
+    };
+
+    const result = await employeeAffiliationsCollection.updateOne(
+      { _id: affiliation._id, status: "pending" },
+      {
+        $set: activation,
+        $unset: { inviteTokenHash: "", inviteExpiresAt: "" },
+      },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new ConflictError("Affiliation Already Processed");
+    }
+
+    await recordAudit(
+      {
+        actor,
+        action: "affiliation.activate",
+        targetType: "affiliation",
+        targetId: affiliation._id,
+        hrEmail: affiliation.hrEmail,
+        before: affiliation,
+        after: { ...affiliation, ...activation },
+      },
+      session
+    );
+
+    return result;
+  };
+
+  // Close a pending affiliation without consuming a seat
+  const closeAffiliation = async (affiliation, actor, reason) => {
+    const closing = {
+      status: "removed",
+      removedDate: new Date().toISOString(),
+      removalReason: reason,
+    };
+
+    const result = await employeeAffiliationsCollection.updateOne(
+      { _id: affiliation._id, status: "pending" },
+      {
+        $set: closing,
+        $unset: { inviteTokenHash: "", inviteExpiresAt: "" },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new ConflictError("Affiliation Already Processed");
+    }
+
+    await recordAudit({
+      actor,
+      action: `affiliation.${reason}`,
+      targetType: "affiliation",
+      targetId: affiliation._id,
+      hrEmail: affiliation.hrEmail,
+      before: affiliation,
+      after: { ...affiliation, ...closing },
+    });
+
+    return result;
+  };
+
+  return {
+    getSeatUsage,
+    syncCurrentEmployees,
+    activateAffiliation,
+    closeAffiliation,
+  };
+};
+
+module.exports = { createAffiliationService };
@@ -0,0 +1,157 @@
+const { ConflictError } = require("../lib/errors");
+
+// Assignments and stock changes, both keep availableQuantity in step with the stock model
+const createAssetService = ({ collections, recordAudit }) => {
+  const {
+    assets: assetsCollection,
+    assignedAssets: assignedAssetsCollection,
+    employeeAffiliations: employeeAffiliationsCollection,
+    stockAdjustments: stockAdjustmentsCollection,
+  } = collections;
+
+  // Hand one unit of an asset to an active member of the HR's team.
+  // Runs inside a transaction, every write is conditional so a lost race throws a 409.
+  const assignAsset = async (
+    {
+      asset,
+      hr,
+      employeeEmail,
+      employeeName,
+      companyName,
+      actor,
+      requestId = null,
+    },
+    session
+  ) => {
+    const affiliation = await employeeAffiliationsCollection.findOne(
+      { employeeEmail, hrEmail: hr.email, status: "active" },
+      { session }
+    );
+
+    if (!affiliation) {
+      throw new ConflictError(
+        "Employee Is Not An Active Member Of Your Company"
+      );
+    }
+
+    const existingAssignedAsset = await assignedAssetsCollection.findOne(
+      {
+        assetId: asset._id.toString(),
+        employeeEmail,
+        status: { $in: ["assigned", "return-requested"] },
+      },
+      { session }
+    );
+
+    if (existingAssignedAsset) {
+      throw new ConflictError("Asset Already Assigned");
+    }
+
+    const assetUpdate = await assetsCollection.updateOne(
+      { _id: asset._id, availableQuantity: { $gt: 0 } },
+      { $inc: { availableQuantity: -1 } },
+      { session }
+    );
+
+    if (assetUpdate.modifiedCount === 0) {
+      throw new ConflictError("Asset Not Available");
+    }
+
+    const assignedAssetData = {
+      assetId: asset._id.toString(),
+      assetName: asset.productName,
+      assetImage: asset.productImage,
+      assetType: asset.productType,
+      employeeEmail,
+      employeeName,
+      hrEmail: hr.email,
+      companyName,
+      requestId: requestId?.toString() ?? null,
+      assignmentDate: new Date().toISOString(),
+      returnDate: null,
+      status: "assigned",
+    };
+
+    const result = await assignedAssetsCollection.insertOne(assignedAssetData, {
+      session,
+    });
+
+    await recordAudit(
+      {
+        actor,
+        action: "assignment.create",
+        targetType: "assignedAsset",
+        targetId: result.insertedId,
+        hrEmail: hr.email,
+        after: assignedAssetData,
+      },
+      session
+    );
+
+    return result;
+  };
+
+  // Apply a stock change to an asset and keep it in the asset's stock history.
+  // Units leaving the shelf are only taken while enough of them are available.
+  const adjustStock = async (
+    { asset, type, quantity, inc, reason, actor, assignedAssetId = null },
+    session
+  ) => {
+    const query = { _id: asset._id };
+    if (inc.availableQuantity < 0) {
+      query.availableQuantity = { $gte: -inc.availableQuantity };
+    }
+
+    const updatedAsset = await assetsCollection.findOneAndUpdate(
+      query,
+      { $inc: inc },
+      { returnDocument: "after", session }
+    );
+
+    if (!updatedAsset) {
+      throw new ConflictError("Not Enough Available Stock");
+    }
+
+    const stockOf = (doc) => ({
+      productQuantity: doc.productQuantity,
+      availableQuantity: doc.availableQuantity,
+      writtenOffQuantity: doc.writtenOffQuantity ?? 0,
+    });
+
+    const adjustment = {
+      assetId: asset._id.toString(),
+      hrEmail: asset.hrEmail,
+      type,
+      quantity,
+      reason,
+      actor,
+      assignedAssetId: assignedAssetId?.toString() ?? null,
+      before: stockOf(asset),
+      after: stockOf(updatedAsset),
+      createdAt: new Date().toISOString(),
+    };
+
+    const result = await stockAdjustmentsCollection.insertOne(adjustment, {
+      session,
+    });
+
+    await recordAudit(
+      {
+        actor,
+        action: `stock.${type}`,
+        targetType: "asset",
+        targetId: asset._id,
+        hrEmail: asset.hrEmail,
+        before: adjustment.before,
+        after: adjustment.after,
+      },
+      session
+    );
+
+    return { _id: result.insertedId, ...adjustment };
+  };
+
+  return { assignAsset, adjustStock };
+};
+
+module.exports = { createAssetService };
@@ -0,0 +1,35 @@
+// Audit trail of every change made through the API
+const createAuditService = ({ collections }) => {
+  const { auditLogs: auditLogsCollection } = collections;
+
+  // Append an entry to the audit trail, entries are never updated or deleted
+  const recordAudit = (
+    {
+      actor,
+      action,
+      targetType,
+      targetId,
+      hrEmail,
+      before = null,
+      after = null,
+    },
+    session
+  ) =>
+    auditLogsCollection.insertOne(
+      {
+        actor,
+        action,
+        targetType,
+        targetId: targetId?.toString(),
+        hrEmail,
+        before,
+        after,
+        createdAt: new Date().toISOString(),
+      },
+      { session }
+    );
+
+  return { recordAudit };
+};
+
+module.exports = { createAuditService };
@@ -0,0 +1,85 @@
+const { ObjectId } = require("mongodb");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../lib/errors");
+const { OBJECT_ID_PATTERN } = require("../lib/validation");
+
+// Companies and who belongs to them
+const createCompanyService = ({ collections }) => {
+  const {
+    users: usersCollection,
+    employeeAffiliations: employeeAffiliationsCollection,
+    companies: companiesCollection,
+  } = collections;
+
+  // Every HR owns one company, created with the account or on first use
+  const ensureCompany = async (hr) => {
+    const company = await companiesCollection.findOneAndUpdate(
+      { hrEmail: hr.email },
+      {
+        $setOnInsert: {
+          name: hr.companyName,
+          logo: hr.companyLogo ?? null,
+          hrEmail: hr.email,
+          createdAt: new Date().toISOString(),
+        },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+
+    const companyId = company._id.toString();
+    if (hr.companyId !== companyId) {
+      await usersCollection.updateOne({ _id: hr._id }, { $set: { companyId } });
+    }
+
+    return company;
+  };
+
+  const findCompany = async (companyId) => {
+    if (!OBJECT_ID_PATTERN.test(companyId ?? "")) {
+      throw new ValidationError("Invalid Company Id");
+    }
+
+    const company = await companiesCollection.findOne({
+      _id: new ObjectId(companyId),
+    });
+
+    if (!company) {
+      throw new NotFoundError("Company Not Found");
+    }
+
+    return company;
+  };
+
+  // Team data is only returned to the owning HR and active members of the company
+  const findMembership = async (email, company) => {
+    if (email === company.hrEmail) return null;
+
+    const affiliation = await employeeAffiliationsCollection.findOne({
+      employeeEmail: email,
+      hrEmail: company.hrEmail,
+      status: "active",
+    });
+
+    if (!affiliation) {
+      throw new ForbiddenError("You Are Not A Member Of This Company");
+    }
+
+    return affiliation;
+  };
+
+  // Users of a company: the owning HR and every active member
+  const companyMemberEmails = async (company) => {
+    const emails = await employeeAffiliationsCollection.distinct(
+      "employeeEmail",
+      { hrEmail: company.hrEmail, status: "active" }
+    );
+    return [company.hrEmail, ...emails];
+  };
+
+  return { ensureCompany, findCompany, findMembership, companyMemberEmails };
+};
+
+module.exports = { createCompanyService };
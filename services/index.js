@@ -0,0 +1,33 @@
+const { createAuditService } = require("./audit");
+const { createNotificationService } = require("./notifications");
+const { createAssetService } = require("./assets");
+const { createCompanyService } = require("./companies");
+const { createAffiliationService } = require("./affiliations");
+const { createPaymentService } = require("./payments");
+
+// Business rules shared by the routers. Every service gets the collections and
+// the audit trail and notifications, which the others build on.
+// startSession is needed by the services that write in transactions.
+const createServices = ({ collections, startSession, mailer, logger }) => {
+  const audit = createAuditService({ collections });
+  const notifications = createNotificationService({ collections, logger });
+  const deps = {
+    collections,
+    startSession,
+    mailer,
+    logger,
+    ...audit,
+    ...notifications,
+  };
+
+  return {
+    ...audit,
+    ...notifications,
+    ...createAssetService(deps),
+    ...createCompanyService(deps),
+    ...createAffiliationService(deps),
+    ...createPaymentService(deps),
+  };
+};
+
+module.exports = { createServices };
@@ -0,0 +1,60 @@
+const sendEvent = (res, event, data) =>
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// In-app notifications, stored for the inbox and pushed to open SSE streams
+const createNotificationService = ({ collections, logger }) => {
+  const { notifications: notificationsCollection } = collections;
+
+  // live notification streams of this app instance, email -> open SSE responses
+  const notificationStreams = new Map();
+
+  // Register an open stream, the returned function unregisters it
+  const openStream = (email, res) => {
+    if (!notificationStreams.has(email)) {
+      notificationStreams.set(email, new Set());
+    }
+    notificationStreams.get(email).add(res);
+
+    return () => {
+      const streams = notificationStreams.get(email);
+      streams?.delete(res);
+      if (streams?.size === 0) {
+        notificationStreams.delete(email);
+      }
+    };
+  };
+
+  // Store a notification and push it to the recipient's open streams.
+  // Called after the change is committed, a failure here never fails the request.
+  const notify = async ({
+    recipientEmail,
+    type,
+    title,
+    message,
+    data = {},
+  }) => {
+    try {
+      const notification = {
+        recipientEmail,
+        type,
+        title,
+        message,
+        data,
+        read: false,
+        createdAt: new Date().toISOString(),
+      };
+
+      await notificationsCollection.insertOne(notification);
+
+      notificationStreams
+        .get(recipientEmail)
+        ?.forEach((stream) => sendEvent(stream, "notification", notification));
+    } catch (error) {
+      logger.error("Notification failed", { error });
+    }
+  };
+
+  return { notify, openStream };
+};
+
+module.exports = { createNotificationService, sendEvent };
@@ -0,0 +1,186 @@
+const { ObjectId } = require("mongodb");
+
+// Package purchases, driven by the Stripe webhook
+const createPaymentService = ({
+  collections,
+  startSession,
+  recordAudit,
+  notify,
+  mailer,
+}) => {
+  const {
+    users: usersCollection,
+    packages: packagesCollection,
+    payments: paymentsCollection,
+  } = collections;
+
+  // The payment and the HR package limit change together, otherwise a failed
+  // second write would leave a recorded payment that Stripe retries skip
+  const inTransaction = async (work) => {
+    const session = startSession();
+    try {
+      return await session.withTransaction(() => work(session));
+    } finally {
+      await session.endSession();
+    }
+  };
+
+  // Record a paid checkout session once per payment_intent and raise the HR package limit
+  const fulfillCheckoutSession = async (session) => {
+    if (session?.payment_status !== "paid") {
+      return { fulfilled: false };
+    }
+
+    // checkout copied the catalog values into the metadata, so a package
+    // edited or removed after checkout does not change what was bought.
+    // Older sessions carry client supplied values and use the catalog instead.
+    const { packageId, packageName } = session.metadata ?? {};
+    const packageData = packageName
+      ? { name: packageName, employeeLimit: session.metadata.employeeLimit }
+      : ObjectId.isValid(packageId)
+      ? await packagesCollection.findOne({ _id: new ObjectId(packageId) })
+      : null;
+
+    const employeeLimit = Number(packageData?.employeeLimit);
+
+    if (!Number.isInteger(employeeLimit) || employeeLimit < 1) {
+      return { fulfilled: false };
+    }
+
+    const orderInfo = {
+      hrEmail: session.customer_email,
+      packageId,
+      packageName: packageData.name,
+      transitionId: session.payment_intent,
+      sessionId: session.id,
+      amount: session.amount_total / 100,
+      employeeLimit,
+      paymentDate: new Date().toISOString(),
+      status: "completed",
+    };
+
+    const result = await inTransaction(async (dbSession) => {
+      // upsert keyed on the payment intent so webhook retries never double count
+      const upsert = await paymentsCollection.updateOne(
+        { transitionId: session.payment_intent },
+        { $setOnInsert: orderInfo },
+        { upsert: true, session: dbSession }
+      );
+
+      if (!upsert.upsertedId) return upsert;
+
+      // Increase Package Limit of HR
+      await usersCollection.updateOne(
+        { email: session.customer_email },
+        { $inc: { packageLimit: employeeLimit } },
+        { session: dbSession }
+      );
+
+      await recordAudit(
+        {
+          actor: "stripe",
+          action: "payment.complete",
+          targetType: "payment",
+          targetId: upsert.upsertedId,
+          hrEmail: session.customer_email,
+          after: orderInfo,
+        },
+        dbSession
+      );
+
+      return upsert;
+    });
+
+    if (!result.upsertedId) {
+      return { fulfilled: false, duplicate: true };
+    }
+
+    await notify({
+      recipientEmail: session.customer_email,
+      type: "payment.completed",
+      title: "Package purchased",
+      message: `${packageData.name} added ${employeeLimit} employee seats to your package`,
+      data: { paymentId: result.upsertedId, packageName: packageData.name },
+    });
+
+    mailer.send("paymentReceipt", {
+      to: session.customer_email,
+      packageName: packageData.name,
+      amount: orderInfo.amount,
+      employeeLimit,
+      transitionId: session.payment_intent,
+    });
+
+    return { fulfilled: true, orderId: result.upsertedId };
+  };
+
+  // Take back the package limit of a refunded or disputed payment
+  const reversePayment = async (paymentIntent, status) => {
+    const reversedDate = new Date().toISOString();
+
+    await inTransaction(async (session) => {
+      const payment = await paymentsCollection.findOneAndUpdate(
+        { transitionId: paymentIntent, status: "completed" },
+        { $set: { status, reversedDate } },
+        { session }
+      );
+
+      if (!payment) return;
+
+      await usersCollection.updateOne(
+        { email: payment.hrEmail },
+        { $inc: { packageLimit: -payment.employeeLimit } },
+        { session }
+      );
+
+      await recordAudit(
+        {
+          actor: "stripe",
+          action: status === "refunded" ? "payment.refund" : "payment.dispute",
+          targetType: "payment",
+          targetId: payment._id,
+          hrEmail: payment.hrEmail,
+          before: payment,
+          after: { ...payment, status, reversedDate },
+        },
+        session
+      );
+    });
+  };
+
+  // Give the package limit back when a dispute is resolved in our favour
+  const restorePayment = async (paymentIntent) => {
+    await inTransaction(async (session) => {
+      const payment = await paymentsCollection.findOneAndUpdate(
+        { transitionId: paymentIntent, status: "disputed" },
+        { $set: { status: "completed", reversedDate: null } },
+        { session }
+      );
+
+      if (!payment) return;
+
+      await usersCollection.updateOne(
+        { email: payment.hrEmail },
+        { $inc: { packageLimit: payment.employeeLimit } },
+        { session }
+      );
+
+      await recordAudit(
+        {
+          actor: "stripe",
+          action: "payment.restore",
+          targetType: "payment",
+          targetId: payment._id,
+          hrEmail: payment.hrEmail,
+          before: payment,
+          after: { ...payment, status: "completed", reversedDate: null },
+        },
+        session
+      );
+    });
+  };
+
+  return { fulfillCheckoutSession, reversePayment, restorePayment };
+};
+
+module.exports = { createPaymentService };
@@ -0,0 +1,430 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startDatabase,
+  createTestApp,
+  createRecordingMailer,
+  as,
+  expectStatus,
+  hrUser,
+  employeeUser,
+  signUp,
+  join,
+  addAsset,
+  createTeam,
+} = require("./helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// a leap year so every month-day, February 29 included, is a valid date
+const birthdayIn = (days) =>
+  `1992-${new Date(Date.now() + days * DAY_MS).toISOString().slice(5, 10)}`;
+
+describe("company membership", () => {
+  let database;
+  let t;
+  let hr;
+  let mailer;
+
+  before(async () => {
+    database = await startDatabase();
+  });
+  after(() => database.stop());
+  beforeEach(async () => {
+    mailer = createRecordingMailer();
+    t = await createTestApp(database.client, { mailer });
+    await signUp(t.app, hrUser());
+    hr = as(t.app, hrUser().email);
+  });
+
+  describe("invitations", () => {
+    it("activates the membership with the emailed token", async () => {
+      await signUp(t.app, employeeUser());
+      await join(t.app, hrUser().email, employeeUser().email);
+
+      const { body } = await hr.get("/seats");
+      assert.deepEqual(body, { packageLimit: 5, used: 1, remaining: 4 });
+
+      const affiliation = await t.collections.employeeAffiliations.findOne({});
+      assert.equal(affiliation.status, "active");
+      assert.equal(affiliation.inviteTokenHash, undefined);
+
+      const companies = await as(t.app, employeeUser().email).get(
+        `/my-companies/${employeeUser().email}`
+      );
+      assert.deepEqual(companies.body, [
+        {
+          companyId: affiliation.companyId,
+          companyName: "Company 1",
+        },
+      ]);
+
+      await mailer.idle();
+      assert.deepEqual(
+        mailer.sent.map((email) => [email.to, email.subject]),
+        [[employeeUser().email, "Company 1 invited you to join their team"]]
+      );
+      assert.match(mailer.sent[0].text, /invitations\/accept\?token=/);
+    });
+
+    it("only lets the invited employee use the token", async () => {
+      await signUp(t.app, employeeUser(1));
+      await signUp(t.app, employeeUser(2));
+      const invitation = await hr
+        .post("/invitations")
+        .send({ employeeEmail: employeeUser(1).email });
+
+      const res = await as(t.app, employeeUser(2).email)
+        .patch("/invitations/accept")
+        .send({ token: invitation.body.token });
+      expectStatus(res, 404);
+    });
+
+    it("refuses expired invitations", async () => {
+      await signUp(t.app, employeeUser());
+      const invitation = await hr
+        .post("/invitations")
+        .send({ employeeEmail: employeeUser().email });
+
+      await t.collections.employeeAffiliations.updateOne(
+        {},
+        { $set: { inviteExpiresAt: new Date(Date.now() - 1).toISOString() } }
+      );
+
+      const employee = as(t.app, employeeUser().email);
+      assert.deepEqual((await employee.get("/my-invitations")).body, []);
+      expectStatus(
+        await employee
+          .patch("/invitations/accept")
+          .send({ token: invitation.body.token }),
+        410
+      );
+    });
+
+    it("can be declined or revoked", async () => {
+      await signUp(t.app, employeeUser(1));
+      await signUp(t.app, employeeUser(2));
+
+      const first = await hr
+        .post("/invitations")
+        .send({ employeeEmail: employeeUser(1).email });
+      const second = await hr
+        .post("/invitations")
+        .send({ employeeEmail: employeeUser(2).email });
+      assert.equal((await hr.get("/invitations")).body.length, 2);
+
+      expectStatus(
+        await as(t.app, employeeUser(1).email)
+          .patch("/invitations/decline")
+          .send({ invitationId: first.body.invitationId }),
+        200
+      );
+      expectStatus(
+        await hr.delete(`/invitations/${second.body.invitationId}`),
+        200
+      );
+      expectStatus(
+        await hr.delete(`/invitations/${second.body.invitationId}`),
+        404
+      );
+
+      assert.deepEqual((await hr.get("/invitations")).body, []);
+      assert.equal((await hr.get("/seats")).body.used, 0);
+    });
+
+    it("does not invite HRs or current members", async () => {
+      await signUp(t.app, hrUser(2));
+      expectStatus(
+        await hr.post("/invitations").send({ employeeEmail: hrUser(2).email }),
+        400
+      );
+
+      await signUp(t.app, employeeUser());
+      await join(t.app, hrUser().email, employeeUser().email);
+      expectStatus(
+        await hr
+          .post("/invitations")
+          .send({ employeeEmail: employeeUser().email }),
+        409
+      );
+    });
+  });
+
+  describe("join requests", () => {
+    let employee;
+    let companyId;
+
+    beforeEach(async () => {
+      await signUp(t.app, employeeUser());
+      employee = as(t.app, employeeUser().email);
+      companyId = (await hr.get("/users")).body.companyId;
+    });
+
+    it("lists the companies to join", async () => {
+      const { body } = await employee.get("/companies");
+      assert.deepEqual(body, [{ companyId, companyName: "Company 1" }]);
+    });
+
+    it("asks to join by company id and gets approved", async () => {
+      const res = await employee.post("/join-requests").send({ companyId });
+      expectStatus(res, 201);
+      expectStatus(
+        await employee.post("/join-requests").send({ companyId }),
+        409
+      );
+
+      const { body } = await hr.get("/join-requests");
+      assert.equal(body.length, 1);
+
+      expectStatus(
+        await hr.patch(`/join-requests/${body[0]._id}/approve`),
+        200
+      );
+      expectStatus(
+        await hr.patch(`/join-requests/${body[0]._id}/approve`),
+        404
+      );
+      assert.equal((await hr.get("/seats")).body.used, 1);
+    });
+
+    it("still accepts the HR's email", async () => {
+      expectStatus(
+        await employee.post("/join-requests").send({ hrEmail: hrUser().email }),
+        201
+      );
+
+      const [joinRequest] = (await hr.get("/join-requests")).body;
+      expectStatus(
+        await hr.patch(`/join-requests/${joinRequest._id}/reject`),
+        200
+      );
+
+      const affiliation = await t.collections.employeeAffiliations.findOne({});
+      assert.equal(affiliation.status, "removed");
+      assert.equal(affiliation.removalReason, "rejected");
+
+      // a rejected employee may ask again
+      expectStatus(
+        await employee.post("/join-requests").send({ companyId }),
+        201
+      );
+    });
+
+    it("needs a company", async () => {
+      expectStatus(await employee.post("/join-requests").send({}), 400);
+      expectStatus(
+        await employee
+          .post("/join-requests")
+          .send({ hrEmail: "nobody@company.test" }),
+        404
+      );
+    });
+  });
+
+  describe("package limits", () => {
+    it("stops inviting once every seat is taken", async () => {
+      for (let n = 1; n <= 5; n++) {
+        await signUp(t.app, employeeUser(n));
+        await join(t.app, hrUser().email, employeeUser(n).email);
+      }
+
+      await signUp(t.app, employeeUser(6));
+      const res = await hr
+        .post("/invitations")
+        .send({ employeeEmail: employeeUser(6).email });
+      expectStatus(res, 409);
+      assert.equal(
+        res.body.message,
+        "Your package limit has been reached. Please upgrade or purchase a new package to continue."
+      );
+
+      const user = await t.collections.users.findOne({
+        email: hrUser().email,
+      });
+      assert.equal(user.currentEmployees, 5);
+    });
+
+    it("checks the seat again when an invitation is accepted", async () => {
+      for (let n = 1; n <= 4; n++) {
+        await signUp(t.app, employeeUser(n));
+        await join(t.app, hrUser().email, employeeUser(n).email);
+      }
+
+      const tokens = [];
+      for (const n of [5, 6]) {
+        await signUp(t.app, employeeUser(n));
+        const invitation = await hr
+          .post("/invitations")
+          .send({ employeeEmail: employeeUser(n).email });
+        expectStatus(invitation, 201);
+        tokens.push(invitation.body.token);
+      }
+
+      expectStatus(
+        await as(t.app, employeeUser(5).email)
+          .patch("/invitations/accept")
+          .send({ token: tokens[0] }),
+        200
+      );
+      expectStatus(
+        await as(t.app, employeeUser(6).email)
+          .patch("/invitations/accept")
+          .send({ token: tokens[1] }),
+        409
+      );
+
+      assert.deepEqual((await hr.get("/seats")).body, {
+        packageLimit: 5,
+        used: 5,
+        remaining: 0,
+      });
+    });
+  });
+
+  it("offboards an employee and frees the seat", async () => {
+    await signUp(t.app, employeeUser());
+    await join(t.app, hrUser().email, employeeUser().email);
+    const employee = as(t.app, employeeUser().email);
+
+    const laptop = await addAsset(t.app, hrUser().email);
+    const notebook = await addAsset(t.app, hrUser().email, {
+      productName: "Notebook",
+      productType: "Non-returnable",
+    });
+    for (const assetId of [laptop, notebook]) {
+      await hr
+        .post("/assigned-assets")
+        .send({ assetId, employeeEmail: employeeUser().email });
+    }
+    const monitor = await addAsset(t.app, hrUser().email, {
+      productName: "Monitor",
+    });
+    await employee.post("/asset-requests").send({ assetId: monitor });
+
+    const res = await hr.delete(`/my-employees/${employeeUser().email}`);
+    expectStatus(res, 200);
+    assert.deepEqual(res.body, {
+      employeeEmail: employeeUser().email,
+      affiliationStatus: "removed",
+      returnsStarted: 1,
+      requestsCancelled: 1,
+      seatsFreed: 1,
+    });
+
+    assert.equal((await hr.get("/seats")).body.used, 0);
+    assert.deepEqual(
+      (await hr.get(`/my-employees/${hrUser().email}`)).body,
+      []
+    );
+    expectStatus(await hr.delete(`/my-employees/${employeeUser().email}`), 404);
+  });
+
+  describe("team directory", () => {
+    let team;
+
+    beforeEach(async () => {
+      t = await createTestApp(database.client);
+      team = await createTeam(t.app, { employees: 3 });
+
+      await as(t.app, team.employees[0].email)
+        .patch("/user")
+        .send({
+          dateOfBirth: birthdayIn(0),
+          privacy: { showEmail: false },
+        });
+      await as(t.app, team.employees[1].email)
+        .patch("/user")
+        .send({ dateOfBirth: birthdayIn(180) });
+      await as(t.app, team.employees[2].email)
+        .patch("/user")
+        .send({
+          dateOfBirth: birthdayIn(3),
+          privacy: { showBirthday: false },
+        });
+    });
+
+    it("lists the team with the members' privacy applied", async () => {
+      const { body } = await as(t.app, team.employees[1].email).get(
+        `/my-team/${team.companyId}`
+      );
+      assert.equal(body.length, 4);
+
+      const first = body.find((member) => member.name === "Employee 1");
+      assert.equal(first.email, undefined);
+      assert.equal(first.birthday, birthdayIn(0).slice(5));
+
+      const hrEntry = body.find((member) => member.position === "hr");
+      assert.equal(hrEntry.email, team.hr.email);
+    });
+
+    it("keeps other companies out", async () => {
+      await signUp(t.app, employeeUser(9));
+      const outsider = as(t.app, employeeUser(9).email);
+
+      expectStatus(await outsider.get(`/my-team/${team.companyId}`), 403);
+      expectStatus(
+        await outsider.get(`/my-team/${team.companyId}/directory`),
+        403
+      );
+      expectStatus(await outsider.get("/my-team/not-an-id"), 400);
+    });
+
+    it("searches and pages the directory", async () => {
+      const api = as(t.app, team.hr.email);
+
+      const search = await api.get(
+        `/my-team/${team.companyId}/directory?search=employee`
+      );
+      assert.equal(search.body.total, 3);
+
+      const page = await api.get(
+        `/my-team/${team.companyId}/directory?limit=2&skip=2`
+      );
+      assert.equal(page.body.total, 4);
+      assert.deepEqual(
+        page.body.members.map((member) => member.name),
+        ["Employee 3", "HR 1"]
+      );
+    });
+
+    it("shows upcoming birthdays the members share", async () => {
+      const api = as(t.app, team.employees[0].email);
+
+      const week = await api.get(`/my-team/${team.companyId}/birthdays?days=7`);
+      expectStatus(week, 200);
+      assert.deepEqual(
+        week.body.map((member) => [member.name, member.daysUntil]),
+        [["Employee 1", 0]]
+      );
+
+      const year = await api.get(
+        `/my-team/${team.companyId}/birthdays?days=366`
+      );
+      assert.deepEqual(
+        year.body.map((member) => member.name),
+        ["Employee 1", "Employee 2"]
+      );
+
+      expectStatus(
+        await api.get(`/my-team/${team.companyId}/birthdays?days=400`),
+        400
+      );
+    });
+
+    it("lists birthdays of members without a name", async () => {
+      await t.collections.users.updateOne(
+        { email: team.employees[1].email },
+        { $set: { dateOfBirth: birthdayIn(0) }, $unset: { name: "" } }
+      );
+
+      const res = await as(t.app, team.hr.email).get(
+        `/my-team/${team.companyId}/birthdays?days=7`
+      );
+      expectStatus(res, 200);
+      assert.deepEqual(
+        res.body.map((member) => member.name),
+        [undefined, "Employee 1"]
+      );
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  createTestApp,
+  as,
+  expectStatus,
+  hrUser,
+  signUp,
+} = require("./helpers");
+
+describe("app", () => {
+  let database;
+
+  before(async () => {
+    database = await startDatabase();
+  });
+  after(() => database.stop());
+
+  it("serves routes before the database is prepared", async () => {
+    const t = await createTestApp(database.client, { prepare: false });
+
+    const starting = await request(t.app).get("/ready");
+    expectStatus(starting, 503);
+    assert.deepEqual(starting.body, { status: "starting" });
+    expectStatus(await request(t.app).get("/users"), 401);
+
+    await t.prepareDatabase();
+
+    const ready = await request(t.app).get("/ready");
+    expectStatus(ready, 200);
+    assert.deepEqual(ready.body, { status: "ready" });
+  });
+
+  it("creates the indexes the routes rely on", async () => {
+    const t = await createTestApp(database.client);
+
+    const indexes = await t.collections.payments.indexes();
+    assert.ok(
+      indexes.some((index) => index.unique && index.key.transitionId === 1)
+    );
+  });
+
+  it("gets ready even when old payments share a transitionId", async () => {
+    const t = await createTestApp(database.client, { prepare: false });
+    await t.collections.payments.insertMany([
+      { transitionId: "pi_1", hrEmail: hrUser().email },
+      { transitionId: "pi_1", hrEmail: hrUser().email },
+    ]);
+    await t.collections.users.insertOne({ ...hrUser(), packageLimit: 5 });
+
+    await t.prepareDatabase();
+
+    expectStatus(await request(t.app).get("/ready"), 200);
+    // the migrations before the index still ran
+    assert.equal(await t.collections.companies.countDocuments(), 1);
+    assert.ok(
+      t.logs.some(
+        (entry) => entry.msg === "Unique payments index could not be created"
+      )
+    );
+  });
+
+  describe("errors", () => {
+    it("answers every error with the same envelope", async () => {
+      const t = await createTestApp(database.client);
+
+      const unknown = await request(t.app).get("/no-such-route");
+      expectStatus(unknown, 404);
+      assert.deepEqual(unknown.body, {
+        message: "Route Not Found",
+        code: "NOT_FOUND",
+        requestId: unknown.headers["x-request-id"],
+      });
+
+      const invalid = await request(t.app)
+        .post("/users")
+        .send({ name: "x", email: "not-an-email", role: "employee" });
+      expectStatus(invalid, 400);
+      assert.equal(invalid.body.code, "VALIDATION_FAILED");
+      assert.equal(invalid.body.errors[0].field, "email");
+
+      const malformed = await request(t.app)
+        .post("/users")
+        .set("Content-Type", "application/json")
+        .send("{");
+      expectStatus(malformed, 400);
+      assert.equal(malformed.body.message, "Invalid JSON Body");
+
+      await signUp(t.app, hrUser());
+      const forbidden = await as(t.app, hrUser().email).get("/my-requests");
+      expectStatus(forbidden, 403);
+      assert.equal(forbidden.body.code, "FORBIDDEN");
+    });
+
+    it("does not send the token error back", async () => {
+      const t = await createTestApp(database.client);
+
+      const res = await as(t.app, "not-a-token").get("/users");
+      expectStatus(res, 401);
+      assert.deepEqual(Object.keys(res.body).sort(), [
+        "code",
+        "message",
+        "requestId",
+      ]);
+
+      const warning = t.logs.find(
+        (entry) => entry.msg === "Token verification failed"
+      );
+      assert.equal(warning.requestId, res.body.requestId);
+      assert.equal(warning.reason, "Invalid token");
+    });
+  });
+
+  describe("request logs", () => {
+    it("logs route, status and latency under the request id", async () => {
+      const t = await createTestApp(database.client);
+      await signUp(t.app, hrUser());
+
+      const res = await as(t.app, hrUser().email)
+        .get(`/users/${hrUser().email}`)
+        .set("X-Request-Id", "client-id-1");
+      expectStatus(res, 200);
+      assert.equal(res.headers["x-request-id"], "client-id-1");
+
+      const entry = t.logs.find((log) => log.requestId === "client-id-1");
+      assert.equal(entry.level, "info");
+      assert.equal(entry.msg, "request");
+      assert.equal(entry.method, "GET");
+      assert.equal(entry.route, "/users/:email");
+      assert.equal(entry.status, 200);
+      assert.equal(entry.user, hrUser().email);
+      assert.equal(typeof entry.durationMs, "number");
+    });
+
+    it("generates an id when the client sends none or a bad one", async () => {
+      const t = await createTestApp(database.client);
+
+      const res = await request(t.app)
+        .get("/")
+        .set("X-Request-Id", "bad id with spaces");
+      assert.match(res.headers["x-request-id"], /^[\da-f-]{36}$/);
+    });
+  });
+});
@@ -0,0 +1,387 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startDatabase,
+  createTestApp,
+  as,
+  expectStatus,
+  hrUser,
+  employeeUser,
+  signUp,
+  addAsset,
+  createTeam,
+} = require("./helpers");
+
+describe("assets", () => {
+  let database;
+  let t;
+  let team;
+  let hr;
+
+  before(async () => {
+    database = await startDatabase();
+  });
+  after(() => database.stop());
+  beforeEach(async () => {
+    t = await createTestApp(database.client);
+    team = await createTeam(t.app);
+    hr = as(t.app, team.hr.email);
+  });
+
+  it("creates an asset with full stock", async () => {
+    const id = await addAsset(t.app, team.hr.email, { productQuantity: 3 });
+
+    const { body } = await hr.get("/assets");
+    assert.equal(body.total, 1);
+    assert.equal(body.assets[0]._id, id);
+    assert.equal(body.assets[0].availableQuantity, 3);
+    assert.equal(body.assets[0].writtenOffQuantity, 0);
+    assert.equal(body.assets[0].companyName, "Company 1");
+  });
+
+  it("validates new assets", async () => {
+    const res = await hr
+      .post("/assets")
+      .send({ productName: "Desk", productType: "Furniture" });
+    expectStatus(res, 400);
+    assert.deepEqual(res.body.errors.map((e) => e.field).sort(), [
+      "productQuantity",
+      "productType",
+    ]);
+  });
+
+  it("filters, sorts and paginates the company assets", async () => {
+    await addAsset(t.app, team.hr.email, { productName: "Laptop" });
+    await addAsset(t.app, team.hr.email, {
+      productName: "Mouse",
+      productType: "Non-returnable",
+      productQuantity: 0,
+    });
+    await addAsset(t.app, team.hr.email, { productName: "Monitor" });
+
+    const search = await hr.get(
+      `/company-assets/${team.hr.email}?search=mo&sortBy=productName&order=asc`
+    );
+    assert.deepEqual(
+      search.body.assets.map((a) => a.productName),
+      ["Monitor", "Mouse"]
+    );
+
+    const available = await hr.get(
+      `/company-assets/${team.hr.email}?available=true&type=returnable`
+    );
+    assert.equal(available.body.total, 2);
+
+    const page = await hr.get(
+      `/company-assets/${team.hr.email}?limit=1&skip=1&sortBy=productName&order=asc`
+    );
+    assert.equal(page.body.total, 3);
+    assert.deepEqual(
+      page.body.assets.map((a) => a.productName),
+      ["Monitor"]
+    );
+
+    expectStatus(
+      await hr.get(`/company-assets/${team.hr.email}?sortBy=hrEmail`),
+      400
+    );
+  });
+
+  it("shows employees only the assets of their companies", async () => {
+    await addAsset(t.app, team.hr.email);
+
+    const other = hrUser(2);
+    await signUp(t.app, other);
+    await addAsset(t.app, other.email, { productName: "Phone" });
+
+    const employee = as(t.app, team.employees[0].email);
+    const { body } = await employee.get("/assets");
+    assert.deepEqual(
+      body.assets.map((a) => a.productName),
+      ["Laptop"]
+    );
+
+    const scoped = await employee.get(`/assets?companyId=${team.companyId}`);
+    assert.equal(scoped.body.total, 1);
+
+    const { body: otherHr } = await as(t.app, other.email).get("/users");
+    const foreign = await employee.get(
+      `/assets?companyId=${otherHr.companyId}`
+    );
+    expectStatus(foreign, 403);
+  });
+
+  it("edits asset details but not quantities", async () => {
+    const id = await addAsset(t.app, team.hr.email);
+
+    expectStatus(
+      await hr.patch(`/assets/${id}`).send({ productName: "Notebook" }),
+      200
+    );
+    expectStatus(
+      await hr.patch(`/assets/${id}`).send({ availableQuantity: 100 }),
+      400
+    );
+
+    const asset = await t.collections.assets.findOne({});
+    assert.equal(asset.productName, "Notebook");
+    assert.equal(asset.availableQuantity, 2);
+
+    const stranger = hrUser(2);
+    await signUp(t.app, stranger);
+    expectStatus(
+      await as(t.app, stranger.email)
+        .patch(`/assets/${id}`)
+        .send({ productName: "Mine" }),
+      404
+    );
+  });
+
+  it("no longer sets availability directly", async () => {
+    const id = await addAsset(t.app, team.hr.email);
+    const res = await hr
+      .patch(`/assign-asset/${id}`)
+      .send({ availableQuantity: 9 });
+    expectStatus(res, 410);
+  });
+
+  describe("stock adjustments", () => {
+    it("restocks and writes off units with a history", async () => {
+      const id = await addAsset(t.app, team.hr.email, { productQuantity: 2 });
+
+      const restock = await hr
+        .post(`/assets/${id}/stock-adjustments`)
+        .send({ type: "restock", quantity: 3, reason: "New order" });
+      expectStatus(restock, 201);
+      assert.deepEqual(restock.body.after, {
+        productQuantity: 5,
+        availableQuantity: 5,
+        writtenOffQuantity: 0,
+      });
+
+      const lost = await hr
+        .post(`/assets/${id}/stock-adjustments`)
+        .send({ type: "lost", quantity: 2, reason: "Missing after move" });
+      expectStatus(lost, 201);
+      assert.equal(lost.body.actor, team.hr.email);
+
+      const { body } = await hr.get(`/assets/${id}/stock-history`);
+      assert.equal(body.total, 2);
+      assert.deepEqual(
+        body.adjustments.map((a) => a.type),
+        ["lost", "restock"]
+      );
+      assert.deepEqual(body.stock, {
+        total: 5,
+        assigned: 0,
+        writtenOff: 2,
+        available: 3,
+        consistent: true,
+      });
+    });
+
+    it("never writes off more than is available", async () => {
+      const id = await addAsset(t.app, team.hr.email, { productQuantity: 1 });
+
+      const res = await hr
+        .post(`/assets/${id}/stock-adjustments`)
+        .send({ type: "damaged", quantity: 2, reason: "Broken" });
+      expectStatus(res, 409);
+
+      const asset = await t.collections.assets.findOne({});
+      assert.equal(asset.availableQuantity, 1);
+      assert.equal(await t.collections.stockAdjustments.countDocuments(), 0);
+    });
+
+    it("requires a reason and a known type", async () => {
+      const id = await addAsset(t.app, team.hr.email);
+      expectStatus(
+        await hr
+          .post(`/assets/${id}/stock-adjustments`)
+          .send({ type: "restock", quantity: 1 }),
+        400
+      );
+      expectStatus(
+        await hr
+          .post(`/assets/${id}/stock-adjustments`)
+          .send({ type: "stolen", quantity: 1, reason: "x" }),
+        400
+      );
+    });
+  });
+
+  describe("archiving", () => {
+    it("archives an asset, hides it and cancels its pending requests", async () => {
+      const id = await addAsset(t.app, team.hr.email);
+      const employee = as(t.app, team.employees[0].email);
+
+      expectStatus(
+        await employee.post("/asset-requests").send({ assetId: id }),
+        201
+      );
+
+      const res = await hr.delete(`/asset/${id}`);
+      expectStatus(res, 200);
+      assert.equal(res.body.requestsCancelled, 1);
+
+      assert.equal((await hr.get("/assets")).body.total, 0);
+      assert.equal((await employee.get("/assets")).body.total, 0);
+      assert.equal((await hr.get("/assets?archived=true")).body.total, 1);
+
+      const request = await t.collections.requests.findOne({});
+      assert.equal(request.requestStatus, "cancelled");
+
+      expectStatus(
+        await employee.post("/asset-requests").send({ assetId: id }),
+        404
+      );
+    });
+
+    it("blocks archiving while units are assigned unless forced", async () => {
+      const id = await addAsset(t.app, team.hr.email);
+      expectStatus(
+        await hr.post("/assigned-assets").send({
+          assetId: id,
+          employeeEmail: team.employees[0].email,
+        }),
+        201
+      );
+
+      expectStatus(await hr.delete(`/asset/${id}`), 409);
+
+      const forced = await hr.delete(`/asset/${id}?force=true`);
+      expectStatus(forced, 200);
+      assert.equal(forced.body.outstanding, 1);
+
+      // the assignment survives the archive
+      const { body } = await as(t.app, team.employees[0].email).get(
+        `/my-assets/${team.employees[0].email}`
+      );
+      assert.equal(body.length, 1);
+    });
+
+    it("restores an archived asset", async () => {
+      const id = await addAsset(t.app, team.hr.email);
+
+      expectStatus(await hr.patch(`/assets/${id}/restore`), 409);
+      expectStatus(await hr.delete(`/asset/${id}`), 200);
+      expectStatus(await hr.delete(`/asset/${id}`), 404);
+      expectStatus(await hr.patch(`/assets/${id}/restore`), 200);
+
+      assert.equal((await hr.get("/assets")).body.total, 1);
+    });
+  });
+
+  describe("import and export", () => {
+    it("previews and imports a CSV file", async () => {
+      const csv = [
+        "productName,productType,productQuantity",
+        "Chair,returnable,4",
+        '"Desk, standing",Returnable,2',
+        "Broken,Unknown,1",
+      ].join("\n");
+
+      const preview = await hr
+        .post("/assets/import?dryRun=true")
+        .set("Content-Type", "text/csv")
+        .send(csv);
+      expectStatus(preview, 200);
+      assert.equal(preview.body.valid, 2);
+      assert.equal(preview.body.invalid, 1);
+      assert.equal(preview.body.errors[0].row, 3);
+      assert.equal(preview.body.inserted, 0);
+      assert.equal(await t.collections.assets.countDocuments(), 0);
+
+      const imported = await hr
+        .post("/assets/import")
+        .set("Content-Type", "text/csv")
+        .send(csv);
+      expectStatus(imported, 201);
+      assert.equal(imported.body.inserted, 2);
+
+      const desk = await t.collections.assets.findOne({
+        productName: "Desk, standing",
+      });
+      assert.equal(desk.productType, "Returnable");
+      assert.equal(desk.availableQuantity, 2);
+    });
+
+    it("imports a JSON array", async () => {
+      const res = await hr.post("/assets/import").send([
+        {
+          productName: "Pen",
+          productType: "Non-returnable",
+          productQuantity: 50,
+        },
+      ]);
+      expectStatus(res, 201);
+      assert.equal(res.body.inserted, 1);
+    });
+
+    it("takes JSON imports as large as CSV ones", async () => {
+      const rows = Array.from({ length: 1000 }, (_, n) => ({
+        productName: `Monitor with a fairly long product name ${n}`,
+        productType: "Returnable",
+        productQuantity: 3,
+      }));
+
+      const res = await hr.post("/assets/import?dryRun=true").send(rows);
+      expectStatus(res, 200);
+      assert.equal(res.body.valid, 1000);
+    });
+
+    it("imports its own export back", async () => {
+      await addAsset(t.app, team.hr.email, { productName: "Desk" });
+      const exported = await hr.get("/export/company-assets");
+
+      const res = await hr
+        .post("/assets/import")
+        .set("Content-Type", "text/csv")
+        .send(exported.text);
+      expectStatus(res, 201);
+      assert.equal(res.body.invalid, 0);
+
+      // the server set quantities count, not the exported ones
+      const copies = await t.collections.assets
+        .find({ productName: "Desk" })
+        .sort({ _id: 1 })
+        .toArray();
+      assert.equal(copies.length, 2);
+      assert.equal(copies[1].availableQuantity, copies[1].productQuantity);
+    });
+
+    it("exports assets and assignments as CSV", async () => {
+      const id = await addAsset(t.app, team.hr.email, {
+        productName: "=HYPERLINK()",
+      });
+      await hr.post("/assigned-assets").send({
+        assetId: id,
+        employeeEmail: team.employees[0].email,
+      });
+
+      const assets = await hr.get("/export/company-assets");
+      expectStatus(assets, 200);
+      assert.match(assets.headers["content-type"], /text\/csv/);
+      assert.match(assets.text, /'=HYPERLINK\(\)/);
+
+      const assignments = await hr.get("/export/assigned-assets");
+      expectStatus(assignments, 200);
+      assert.equal(assignments.text.trim().split("\r\n").length, 2);
+    });
+  });
+
+  it("only lets HRs manage assets", async () => {
+    const id = await addAsset(t.app, team.hr.email);
+    const employee = as(t.app, employeeUser().email);
+
+    expectStatus(await employee.delete(`/asset/${id}`), 403);
+    expectStatus(
+      await employee.post("/assets").send({
+        productName: "x",
+        productType: "Returnable",
+        productQuantity: 1,
+      }),
+      403
+    );
+  });
+});
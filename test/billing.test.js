@@ -0,0 +1,376 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  createTestApp,
+  createRecordingMailer,
+  as,
+  expectStatus,
+  hrUser,
+  signUp,
+  sendWebhook,
+} = require("./helpers");
+
+const ADMIN_EMAIL = "admin@asset.test";
+
+describe("billing", () => {
+  let database;
+  let t;
+  let admin;
+  let hr;
+  let mailer;
+
+  const createPackage = async (overrides = {}) => {
+    const res = await admin.post("/admin/packages").send({
+      name: "Standard",
+      price: 8,
+      employeeLimit: 10,
+      features: ["Asset tracking"],
+      ...overrides,
+    });
+    expectStatus(res, 201);
+    return res.body.insertedId;
+  };
+
+  // start a checkout and mark its Stripe session paid
+  const checkout = async (packageId, body = {}) => {
+    const res = await hr
+      .post("/create-checkout-session")
+      .send({ packageId, ...body });
+    expectStatus(res, 200);
+
+    const session = [...t.stripe.sessions.values()].at(-1);
+    assert.equal(res.body.url, session.url);
+    session.payment_status = "paid";
+    return session;
+  };
+
+  const packageLimit = async () =>
+    (await t.collections.users.findOne({ email: hrUser().email })).packageLimit;
+
+  before(async () => {
+    database = await startDatabase();
+  });
+  after(() => database.stop());
+  beforeEach(async () => {
+    mailer = createRecordingMailer();
+    t = await createTestApp(database.client, { mailer });
+    await t.collections.users.insertOne({
+      name: "Admin",
+      email: ADMIN_EMAIL,
+      role: "admin",
+    });
+    admin = as(t.app, ADMIN_EMAIL);
+
+    await signUp(t.app, hrUser());
+    hr = as(t.app, hrUser().email);
+  });
+
+  describe("package catalog", () => {
+    it("lets admins manage the catalog", async () => {
+      const id = await createPackage();
+
+      expectStatus(
+        await admin.patch(`/admin/packages/${id}`).send({ price: 9 }),
+        200
+      );
+      expectStatus(
+        await admin.patch(`/admin/packages/${id}`).send({ price: -1 }),
+        400
+      );
+      // below what Stripe charges
+      expectStatus(
+        await admin.patch(`/admin/packages/${id}`).send({ price: 0.25 }),
+        400
+      );
+
+      const [stored] = (await admin.get("/admin/packages")).body;
+      assert.equal(stored.price, 9);
+      assert.equal(stored.active, true);
+
+      const audit = await t.collections.auditLogs
+        .find({ targetType: "package" })
+        .toArray();
+      assert.deepEqual(
+        audit.map((entry) => entry.action),
+        ["package.create", "package.update"]
+      );
+
+      expectStatus(await admin.delete(`/admin/packages/${id}`), 200);
+      expectStatus(await admin.delete(`/admin/packages/${id}`), 404);
+    });
+
+    it("offers HRs only active packages, cheapest first", async () => {
+      await createPackage({ name: "Premium", price: 15, employeeLimit: 20 });
+      await createPackage({ name: "Basic", price: 5, employeeLimit: 5 });
+      await createPackage({ name: "Legacy", price: 1, active: false });
+
+      const { body } = await hr.get("/packages");
+      assert.deepEqual(
+        body.map((item) => item.name),
+        ["Basic", "Premium"]
+      );
+    });
+  });
+
+  describe("checkout", () => {
+    it("charges the catalog price whatever the client sends", async () => {
+      const id = await createPackage({ price: 8.99 });
+
+      const session = await checkout(id, {
+        name: "Standard",
+        price: 1,
+        employeeLimit: 1000,
+        customer: { name: "HR 1", email: "someone@else.test" },
+      });
+
+      assert.equal(session.customer_email, hrUser().email);
+      assert.equal(session.line_items[0].price_data.unit_amount, 899);
+      assert.deepEqual(session.metadata, {
+        packageId: id,
+        packageName: "Standard",
+        price: "8.99",
+        employeeLimit: "10",
+      });
+    });
+
+    it("does not sell unknown or retired packages", async () => {
+      const id = await createPackage({ active: false });
+
+      expectStatus(
+        await hr.post("/create-checkout-session").send({ packageId: id }),
+        404
+      );
+      expectStatus(await hr.post("/create-checkout-session").send({}), 400);
+    });
+
+    it("does not sell packages priced below the payment minimum", async () => {
+      const { insertedId } = await t.collections.packages.insertOne({
+        name: "Free",
+        price: 0,
+        employeeLimit: 5,
+        active: true,
+      });
+
+      const res = await hr
+        .post("/create-checkout-session")
+        .send({ packageId: insertedId.toString() });
+      expectStatus(res, 409);
+      assert.equal(t.stripe.sessions.size, 0);
+    });
+
+    it("answers 502 when Stripe fails", async () => {
+      const id = await createPackage();
+      t.stripe.checkout.sessions.create = async () => {
+        throw new Error("connect ECONNREFUSED");
+      };
+
+      const res = await hr
+        .post("/create-checkout-session")
+        .send({ packageId: id });
+      expectStatus(res, 502);
+      assert.equal(res.body.code, "UPSTREAM_PAYMENT");
+      assert.doesNotMatch(JSON.stringify(res.body), /ECONNREFUSED/);
+
+      const failure = t.logs.find((entry) => entry.msg === "Request failed");
+      assert.equal(failure.requestId, res.body.requestId);
+      assert.equal(failure.error.cause.message, "connect ECONNREFUSED");
+    });
+  });
+
+  describe("webhook", () => {
+    it("rejects events without a valid signature", async () => {
+      const res = await request(t.app)
+        .post("/stripe/webhook")
+        .set("Content-Type", "application/json")
+        .set("stripe-signature", "t=1,v1=forged")
+        .send(JSON.stringify({ type: "checkout.session.completed" }));
+      expectStatus(res, 400);
+    });
+
+    it("raises the package limit once per payment", async () => {
+      const session = await checkout(await createPackage());
+      const event = {
+        type: "checkout.session.completed",
+        data: { object: session },
+      };
+
+      expectStatus(await sendWebhook(t.app, event), 200);
+      expectStatus(await sendWebhook(t.app, event), 200);
+      await sendWebhook(t.app, {
+        type: "checkout.session.async_payment_succeeded",
+        data: { object: session },
+      });
+
+      assert.equal(await packageLimit(), 15);
+
+      const payments = await t.collections.payments.find().toArray();
+      assert.equal(payments.length, 1);
+      assert.equal(payments[0].amount, 8);
+      assert.equal(payments[0].employeeLimit, 10);
+      assert.equal(payments[0].status, "completed");
+
+      // one receipt, however often the event is delivered
+      await mailer.idle();
+      assert.deepEqual(
+        mailer.sent.map((email) => [email.to, email.subject]),
+        [[hrUser().email, "Payment receipt for Standard"]]
+      );
+    });
+
+    it("counts concurrent deliveries once", async () => {
+      const session = await checkout(await createPackage());
+      const event = {
+        type: "checkout.session.completed",
+        data: { object: session },
+      };
+
+      await Promise.all([
+        sendWebhook(t.app, event),
+        sendWebhook(t.app, event),
+        sendWebhook(t.app, event),
+      ]);
+
+      assert.equal(await packageLimit(), 15);
+      assert.equal(await t.collections.payments.countDocuments(), 1);
+    });
+
+    it("applies the seats on the retry after a failed delivery", async () => {
+      const session = await checkout(await createPackage());
+      const event = {
+        type: "checkout.session.completed",
+        data: { object: session },
+      };
+
+      // the package limit write fails once
+      const { updateOne } = t.collections.users;
+      t.collections.users.updateOne = async () => {
+        t.collections.users.updateOne = updateOne;
+        throw new Error("Connection reset");
+      };
+
+      expectStatus(await sendWebhook(t.app, event), 500);
+      assert.equal(await packageLimit(), 5);
+      assert.equal(await t.collections.payments.countDocuments(), 0);
+
+      expectStatus(await sendWebhook(t.app, event), 200);
+      assert.equal(await packageLimit(), 15);
+      assert.equal(await t.collections.payments.countDocuments(), 1);
+    });
+
+    it("keeps what was bought when the catalog changes afterwards", async () => {
+      const id = await createPackage();
+      const session = await checkout(id);
+
+      await admin.patch(`/admin/packages/${id}`).send({ employeeLimit: 50 });
+      await sendWebhook(t.app, {
+        type: "checkout.session.completed",
+        data: { object: session },
+      });
+
+      assert.equal(await packageLimit(), 15);
+    });
+
+    it("ignores unpaid sessions", async () => {
+      const session = await checkout(await createPackage());
+      session.payment_status = "unpaid";
+
+      await sendWebhook(t.app, {
+        type: "checkout.session.completed",
+        data: { object: session },
+      });
+
+      assert.equal(await packageLimit(), 5);
+      assert.equal(await t.collections.payments.countDocuments(), 0);
+    });
+
+    it("takes the seats back on refunds and lost disputes", async () => {
+      const session = await checkout(await createPackage());
+      await sendWebhook(t.app, {
+        type: "checkout.session.completed",
+        data: { object: session },
+      });
+
+      const charge = { payment_intent: session.payment_intent };
+
+      await sendWebhook(t.app, {
+        type: "charge.refunded",
+        data: { object: { ...charge, refunded: false } },
+      });
+      assert.equal(await packageLimit(), 15);
+
+      await sendWebhook(t.app, {
+        type: "charge.dispute.created",
+        data: { object: charge },
+      });
+      assert.equal(await packageLimit(), 5);
+
+      await sendWebhook(t.app, {
+        type: "charge.dispute.closed",
+        data: { object: { ...charge, status: "won" } },
+      });
+      assert.equal(await packageLimit(), 15);
+
+      await sendWebhook(t.app, {
+        type: "charge.refunded",
+        data: { object: { ...charge, refunded: true } },
+      });
+      await sendWebhook(t.app, {
+        type: "charge.refunded",
+        data: { object: { ...charge, refunded: true } },
+      });
+      assert.equal(await packageLimit(), 5);
+
+      const payment = await t.collections.payments.findOne({});
+      assert.equal(payment.status, "refunded");
+    });
+  });
+
+  it("reports the payment status to the client", async () => {
+    const session = await checkout(await createPackage());
+    session.payment_status = "unpaid";
+
+    const pending = await hr
+      .post("/payment-success")
+      .send({ sessionId: session.id });
+    assert.deepEqual(pending.body, {
+      transitionId: session.payment_intent,
+      status: "pending",
+    });
+
+    session.payment_status = "paid";
+    const processing = await hr
+      .post("/payment-success")
+      .send({ sessionId: session.id });
+    assert.equal(processing.body.status, "processing");
+
+    await sendWebhook(t.app, {
+      type: "checkout.session.completed",
+      data: { object: session },
+    });
+
+    const completed = await hr
+      .post("/payment-success")
+      .send({ sessionId: session.id });
+    assert.equal(completed.body.status, "completed");
+    assert.ok(completed.body.orderId);
+
+    const { body: payments } = await hr.get(`/payments/${hrUser().email}`);
+    assert.equal(payments.length, 1);
+
+    const { body: seats } = await hr.get("/seats");
+    assert.deepEqual(seats, { packageLimit: 15, used: 0, remaining: 15 });
+
+    await signUp(t.app, hrUser(2));
+    const other = await as(t.app, hrUser(2).email)
+      .post("/payment-success")
+      .send({ sessionId: session.id });
+    expectStatus(other, 404);
+
+    expectStatus(
+      await hr.post("/payment-success").send({ sessionId: "cs_test_missing" }),
+      404
+    );
+  });
+});
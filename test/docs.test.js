@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startDatabase, createTestApp, expectStatus } = require("./helpers");
+const { listRoutes } = require("../routes/docs");
+const { routeDocs } = require("../lib/apiDocs");
+const { userSchema } = require("../lib/schemas");
+const errorClasses = require("../lib/errors");
+
+describe("api docs", () => {
+  let database;
+  let t;
+
+  before(async () => {
+    database = await startDatabase();
+    t = await createTestApp(database.client);
+  });
+  after(() => database.stop());
+
+  it("documents every route and nothing else", () => {
+    const routes = listRoutes(t.app).map(
+      ({ method, path }) => `${method.toUpperCase()} ${path}`
+    );
+
+    assert.deepEqual(
+      routes.filter((route) => !routeDocs[route]),
+      [],
+      "routes without an entry in lib/apiDocs.js"
+    );
+    assert.deepEqual(
+      Object.keys(routeDocs).filter((route) => !routes.includes(route)),
+      [],
+      "entries in lib/apiDocs.js without a route"
+    );
+  });
+
+  it("serves the OpenAPI document", async () => {
+    const res = await request(t.app).get("/openapi.json");
+    expectStatus(res, 200);
+    assert.equal(res.body.openapi, "3.0.3");
+
+    // request bodies come from the validation schemas
+    const signUp = res.body.paths["/users"].post;
+    assert.deepEqual(signUp.security, []);
+    assert.deepEqual(
+      signUp.requestBody.content["application/json"].schema.required,
+      Object.keys(userSchema).filter((key) => userSchema[key].required)
+    );
+
+    // auth and roles come from the middlewares
+    const addAsset = res.body.paths["/assets"].post;
+    assert.deepEqual(addAsset.security, [{ bearerAuth: [] }]);
+    assert.equal(addAsset["x-role"], "hr");
+    assert.ok(addAsset.responses[401] && addAsset.responses[403]);
+
+    const asset = res.body.paths["/assets/{id}"].patch;
+    assert.equal(
+      asset.parameters.find((param) => param.name === "id").in,
+      "path"
+    );
+  });
+
+  it("lists every error code", async () => {
+    const res = await request(t.app).get("/openapi.json");
+    const { description } = res.body.components.schemas.Error.properties.code;
+
+    const codes = Object.values(errorClasses).map(
+      (ErrorClass) => new ErrorClass().code
+    );
+    for (const code of [...codes, "PAYLOAD_TOO_LARGE", "INTERNAL"]) {
+      assert.match(description, new RegExp(`\\b${code}\\b`));
+    }
+  });
+
+  it("serves the docs page", async () => {
+    const res = await request(t.app).get("/docs");
+    expectStatus(res, 200);
+    assert.match(res.headers["content-type"], /html/);
+    assert.match(res.text, /\/docs\/init\.js/);
+    // the CDN files are pinned and checked
+    assert.match(res.text, /swagger-ui-dist@\d+\.\d+\.\d+\//);
+    assert.equal(res.text.match(/integrity="sha384-/g).length, 2);
+  });
+});
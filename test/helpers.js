@@ -0,0 +1,243 @@
+// Shared setup for the integration tests: an in-memory MongoDB replica set
+// (transactions need one), bearer tokens that are simply the user's email
+// and a Stripe double whose webhooks use the real signature code.
+const assert = require("node:assert/strict");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+const { MongoClient } = require("mongodb");
+const request = require("supertest");
+const Stripe = require("stripe");
+const { createApp } = require("../app");
+const { createLogger } = require("../lib/logger");
+const { createMailer } = require("../mailer");
+
+const WEBHOOK_SECRET = "whsec_test_secret";
+const stripeWebhooks = Stripe("sk_test_dummy").webhooks;
+
+const COLLECTION_NAMES = {
+  users: "users-am",
+  assets: "assets-am",
+  requests: "requests-am",
+  assignedAssets: "assignedAssets-db",
+  employeeAffiliations: "employeeAffiliations-am",
+  packages: "packages-am",
+  payments: "payments-am",
+  auditLogs: "auditLogs-am",
+  notifications: "notifications-am",
+  stockAdjustments: "stockAdjustments-am",
+  companies: "companies-am",
+};
+
+// One replica set per test file, every test gets its own database
+const startDatabase = async () => {
+  const replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: "wiredTiger" },
+  });
+  const client = await MongoClient.connect(replSet.getUri());
+
+  return {
+    client,
+    stop: async () => {
+      await client.close();
+      await replSet.stop();
+    },
+  };
+};
+
+// Checkout sessions live in memory, tests mark them paid themselves
+const createFakeStripe = () => {
+  const sessions = new Map();
+
+  return {
+    sessions,
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          const number = sessions.size + 1;
+          const session = {
+            id: `cs_test_${number}`,
+            url: `https://checkout.stripe.test/cs_test_${number}`,
+            payment_intent: `pi_test_${number}`,
+            payment_status: "unpaid",
+            customer_email: params.customer_email,
+            amount_total: params.line_items[0].price_data.unit_amount,
+            line_items: params.line_items,
+            // Stripe stores metadata values as strings and drops empty ones
+            metadata: Object.fromEntries(
+              Object.entries(params.metadata)
+                .filter(([, value]) => value !== undefined)
+                .map(([key, value]) => [key, String(value)])
+            ),
+          };
+          sessions.set(session.id, session);
+          return session;
+        },
+        retrieve: async (id) => {
+          const session = sessions.get(id);
+          if (!session) {
+            throw Object.assign(new Error(`No such checkout.session: ${id}`), {
+              code: "resource_missing",
+            });
+          }
+          return session;
+        },
+      },
+    },
+    webhooks: stripeWebhooks,
+  };
+};
+
+let databaseCount = 0;
+
+// options go to createApp, e.g. rateLimits
+const createTestApp = async (client, { prepare = true, ...options } = {}) => {
+  const db = client.db(`asset_test_${process.pid}_${++databaseCount}`);
+  const collections = Object.fromEntries(
+    Object.entries(COLLECTION_NAMES).map(([key, name]) => [
+      key,
+      db.collection(name),
+    ])
+  );
+  const stripe = createFakeStripe();
+  // log entries are kept in memory instead of going to stdout
+  const logs = [];
+
+  const { app, prepareDatabase } = createApp({
+    collections,
+    startSession: () => client.startSession(),
+    verifyIdToken: async (token) => {
+      if (!token.includes("@")) throw new Error("Invalid token");
+      return { email: token };
+    },
+    stripe,
+    stripeWebhookSecret: WEBHOOK_SECRET,
+    logger: createLogger({
+      level: "debug",
+      write: (line) => logs.push(JSON.parse(line)),
+    }),
+    ...options,
+  });
+
+  if (prepare) {
+    await prepareDatabase();
+  }
+
+  return { app, db, collections, stripe, logs, prepareDatabase };
+};
+
+// A real mailer whose transport keeps the emails in sent
+const createRecordingMailer = () => {
+  const sent = [];
+  const mailer = createMailer({
+    transport: { name: "recording", send: async (email) => sent.push(email) },
+    from: "AssetManagment <no-reply@mail.test>",
+  });
+  return Object.assign(mailer, { sent });
+};
+
+// supertest calls signed in as email
+const as = (app, email) => {
+  const call = (method) => (url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${email}`);
+
+  return {
+    get: call("get"),
+    post: call("post"),
+    patch: call("patch"),
+    delete: call("delete"),
+  };
+};
+
+const expectStatus = (res, status) =>
+  assert.equal(res.status, status, JSON.stringify(res.body));
+
+const hrUser = (n = 1) => ({
+  name: `HR ${n}`,
+  email: `hr${n}@company${n}.test`,
+  role: "hr",
+  companyName: `Company ${n}`,
+});
+
+const employeeUser = (n = 1, extra = {}) => ({
+  name: `Employee ${n}`,
+  email: `employee${n}@mail.test`,
+  role: "employee",
+  ...extra,
+});
+
+const signUp = async (app, user) => {
+  const res = await request(app).post("/users").send(user);
+  expectStatus(res, 201);
+  return user;
+};
+
+// Invite and accept, the employee ends up an active member
+const join = async (app, hrEmail, employeeEmail) => {
+  const invitation = await as(app, hrEmail)
+    .post("/invitations")
+    .send({ employeeEmail });
+  expectStatus(invitation, 201);
+
+  const accepted = await as(app, employeeEmail)
+    .patch("/invitations/accept")
+    .send({ token: invitation.body.token });
+  expectStatus(accepted, 200);
+};
+
+const addAsset = async (app, hrEmail, asset = {}) => {
+  const res = await as(app, hrEmail)
+    .post("/assets")
+    .send({
+      productName: "Laptop",
+      productType: "Returnable",
+      productQuantity: 2,
+      ...asset,
+    });
+  expectStatus(res, 200);
+  return res.body.insertedId;
+};
+
+// An HR with n active employees
+const createTeam = async (app, { employees = 1, hr = hrUser() } = {}) => {
+  await signUp(app, hr);
+
+  const members = [];
+  for (let n = 1; n <= employees; n++) {
+    const employee = await signUp(app, employeeUser(n));
+    await join(app, hr.email, employee.email);
+    members.push(employee);
+  }
+
+  const { body: hrDoc } = await as(app, hr.email).get("/users");
+
+  return { hr, employees: members, companyId: hrDoc.companyId };
+};
+
+// Deliver a Stripe event with a valid signature
+const sendWebhook = (app, event) => {
+  const payload = JSON.stringify({ id: `evt_${Date.now()}`, ...event });
+  const signature = stripeWebhooks.generateTestHeaderString({
+    payload,
+    secret: WEBHOOK_SECRET,
+  });
+
+  return request(app)
+    .post("/stripe/webhook")
+    .set("Content-Type", "application/json")
+    .set("stripe-signature", signature)
+    .send(payload);
+};
+
+module.exports = {
+  startDatabase,
+  createTestApp,
+  createRecordingMailer,
+  as,
+  expectStatus,
+  hrUser,
+  employeeUser,
+  signUp,
+  join,
+  addAsset,
+  createTeam,
+  sendWebhook,
+};
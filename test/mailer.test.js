@@ -0,0 +1,189 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const {
+  createMailer,
+  createOutboxTransport,
+  createTransportFromEnv,
+} = require("../mailer");
+
+const FROM = "AssetManagment <no-reply@assetmanagment.app>";
+
+const approval = {
+  to: "employee1@mail.test",
+  employeeName: "Employee 1",
+  assetName: "Laptop <Pro>",
+  companyName: "Company 1",
+};
+
+// logs errors instead of printing them
+const createErrorLog = () => {
+  const errors = [];
+  return { errors, error: (...args) => errors.push(args) };
+};
+
+// a transport failing the first `failures` sends
+const createFlakyTransport = (failures) => {
+  const transport = {
+    name: "flaky",
+    attempts: 0,
+    sent: [],
+    send: async (message) => {
+      transport.attempts += 1;
+      if (transport.attempts <= failures) {
+        throw new Error("Connection refused");
+      }
+      transport.sent.push(message);
+    },
+  };
+  return transport;
+};
+
+describe("mailer", () => {
+  describe("outbox", () => {
+    let directory;
+
+    before(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), "outbox-"));
+    });
+    after(() => fs.rm(directory, { recursive: true, force: true }));
+
+    it("writes every email as a JSON file", async () => {
+      const mailer = createMailer({
+        transport: createOutboxTransport({ directory }),
+        from: FROM,
+      });
+
+      mailer.send("requestApproved", approval);
+      await mailer.idle();
+
+      const files = await fs.readdir(directory);
+      assert.equal(files.length, 1);
+      const email = JSON.parse(
+        await fs.readFile(path.join(directory, files[0]), "utf8")
+      );
+      assert.equal(email.from, FROM);
+      assert.equal(email.to, approval.to);
+      assert.equal(email.subject, "Your request for Laptop <Pro> was approved");
+      assert.match(email.text, /Company 1 approved your request/);
+      // values are escaped in the html body
+      assert.match(email.html, /Laptop &lt;Pro&gt;/);
+      assert.ok(email.createdAt);
+    });
+  });
+
+  describe("transport from the environment", () => {
+    it("is off unless MAIL_TRANSPORT is set", () => {
+      assert.equal(createTransportFromEnv({}), null);
+      assert.equal(createTransportFromEnv({ MAIL_TRANSPORT: "carrier" }), null);
+    });
+
+    it("writes to MAIL_OUTBOX_DIR", async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), "outbox-"));
+      try {
+        const transport = createTransportFromEnv({
+          MAIL_TRANSPORT: "outbox",
+          MAIL_OUTBOX_DIR: directory,
+        });
+        assert.equal(transport.name, "outbox");
+
+        await transport.send({ to: approval.to, subject: "Hello" });
+        assert.equal((await fs.readdir(directory)).length, 1);
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+
+    it("connects to SMTP_HOST and SMTP_PORT", async () => {
+      // a server hanging up on every connection
+      let connections = 0;
+      const server = net.createServer((socket) => {
+        connections += 1;
+        socket.destroy();
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const transport = createTransportFromEnv({
+          MAIL_TRANSPORT: "smtp",
+          SMTP_HOST: "127.0.0.1",
+          SMTP_PORT: String(server.address().port),
+        });
+        assert.equal(transport.name, "smtp");
+
+        await assert.rejects(
+          transport.send({ from: FROM, to: approval.to, subject: "Hello" })
+        );
+        assert.equal(connections, 1);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe("retries", () => {
+    it("retries a failed send until it goes through", async () => {
+      const transport = createFlakyTransport(2);
+      const logger = createErrorLog();
+      const mailer = createMailer({ transport, retryDelayMs: 1, logger });
+
+      mailer.send("requestApproved", approval);
+      await mailer.idle();
+
+      assert.equal(transport.attempts, 3);
+      assert.equal(transport.sent.length, 1);
+      assert.deepEqual(logger.errors, []);
+    });
+
+    it("gives up after maxAttempts and logs it", async () => {
+      const transport = createFlakyTransport(Infinity);
+      const logger = createErrorLog();
+      const mailer = createMailer({
+        transport,
+        maxAttempts: 3,
+        retryDelayMs: 1,
+        logger,
+      });
+
+      mailer.send("requestApproved", approval);
+      await mailer.idle();
+
+      assert.equal(transport.attempts, 3);
+      assert.equal(logger.errors.length, 1);
+      assert.match(logger.errors[0][0], /failed after 3 attempts/);
+    });
+  });
+
+  describe("failures", () => {
+    it("never throws from send", async () => {
+      const logger = createErrorLog();
+      const mailer = createMailer({
+        transport: {
+          name: "broken",
+          send: () => {
+            throw new Error("Transport crashed");
+          },
+        },
+        maxAttempts: 1,
+        logger,
+      });
+
+      assert.doesNotThrow(() => mailer.send("noSuchTemplate", approval));
+      assert.doesNotThrow(() => mailer.send("requestApproved", approval));
+      await mailer.idle();
+
+      assert.equal(logger.errors.length, 2);
+    });
+
+    it("does nothing without a transport", async () => {
+      const mailer = createMailer({ transport: null });
+
+      assert.equal(mailer.enabled, false);
+      assert.doesNotThrow(() => mailer.send("requestApproved", approval));
+      await mailer.idle();
+    });
+  });
+});
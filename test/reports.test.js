@@ -0,0 +1,279 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  createTestApp,
+  as,
+  expectStatus,
+  addAsset,
+  createTeam,
+} = require("./helpers");
+
+// Open the notification stream of email and collect its events,
+// until(event) resolves with the first event of that name
+const openStream = (server, email) => {
+  const events = [];
+  const listeners = new Set();
+
+  const stream = request(server)
+    .get(`/notifications/stream?token=${email}`)
+    .parse((res, callback) => {
+      let pending = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        const frames = (pending + chunk).split("\n\n");
+        pending = frames.pop();
+        for (const frame of frames) {
+          // heartbeats are comments without an event
+          const event = /^event: (.*)$/m.exec(frame)?.[1];
+          const data = /^data: (.*)$/m.exec(frame)?.[1];
+          if (event) events.push({ event, data: JSON.parse(data) });
+        }
+        listeners.forEach((listener) => listener());
+      });
+      res.on("end", () => callback(null, events));
+    });
+  stream.end(() => {});
+
+  const until = (name) =>
+    new Promise((resolve) => {
+      const check = () => {
+        const found = events.find((event) => event.event === name);
+        if (!found) return;
+        listeners.delete(check);
+        resolve(found);
+      };
+      listeners.add(check);
+      check();
+    });
+
+  return { until, close: () => stream.abort() };
+};
+
+describe("notifications, analytics and audit log", () => {
+  let database;
+  let t;
+  let team;
+  let hr;
+  let employee;
+  let laptop;
+  let mouse;
+
+  before(async () => {
+    database = await startDatabase();
+  });
+  after(() => database.stop());
+  beforeEach(async () => {
+    t = await createTestApp(database.client);
+    team = await createTeam(t.app, { employees: 2 });
+    hr = as(t.app, team.hr.email);
+    employee = as(t.app, team.employees[0].email);
+
+    laptop = await addAsset(t.app, team.hr.email, { productQuantity: 3 });
+    mouse = await addAsset(t.app, team.hr.email, {
+      productName: "Mouse",
+      productType: "Non-returnable",
+      productQuantity: 10,
+    });
+
+    // two requests for the laptop, one approved and one rejected, one pending for the mouse
+    const approved = await employee
+      .post("/asset-requests")
+      .send({ assetId: laptop });
+    const rejected = await as(t.app, team.employees[1].email)
+      .post("/asset-requests")
+      .send({ assetId: laptop });
+    await employee.post("/asset-requests").send({ assetId: mouse });
+
+    await hr.patch(`/approve-employee-requests/${approved.body.insertedId}`);
+    await hr.patch(`/reject-employee-requests/${rejected.body.insertedId}`);
+  });
+
+  describe("notifications", () => {
+    it("lists the caller's notifications newest first", async () => {
+      const { body } = await employee.get("/notifications");
+      assert.deepEqual(
+        body.notifications.map((n) => n.type),
+        ["request.approved", "affiliation.invited"]
+      );
+
+      const { body: hrBody } = await hr.get("/notifications?limit=2");
+      assert.equal(hrBody.total, 3);
+      assert.equal(hrBody.notifications.length, 2);
+
+      expectStatus(await hr.get("/notifications?skip=abc"), 400);
+    });
+
+    it("marks notifications read", async () => {
+      assert.deepEqual((await hr.get("/notifications/unread-count")).body, {
+        count: 3,
+      });
+
+      const { body } = await hr.get("/notifications");
+      expectStatus(
+        await hr.patch(`/notifications/${body.notifications[0]._id}/read`),
+        200
+      );
+      assert.equal((await hr.get("/notifications?unread=true")).body.total, 2);
+
+      // nobody else can read them
+      expectStatus(
+        await employee.patch(
+          `/notifications/${body.notifications[1]._id}/read`
+        ),
+        404
+      );
+
+      expectStatus(await hr.patch("/notifications/read-all"), 200);
+      assert.deepEqual((await hr.get("/notifications/unread-count")).body, {
+        count: 0,
+      });
+    });
+
+    it("pushes new notifications to an open stream", async () => {
+      const server = t.app.listen(0);
+      const recipient = team.employees[1].email;
+      const stream = openStream(server, recipient);
+
+      try {
+        // the invitation and the rejected laptop request
+        assert.deepEqual((await stream.until("unread-count")).data, {
+          count: 2,
+        });
+
+        expectStatus(
+          await hr
+            .post("/assigned-assets")
+            .send({ assetId: mouse, employeeEmail: recipient }),
+          201
+        );
+
+        const { data } = await stream.until("notification");
+        assert.equal(data.type, "asset.assigned");
+        assert.equal(data.recipientEmail, recipient);
+        assert.equal(data.read, false);
+      } finally {
+        stream.close();
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe("analytics", () => {
+    it("summarizes stock per asset type", async () => {
+      const { body } = await hr.get("/analytics/asset-types");
+      const byType = Object.fromEntries(body.map((type) => [type.type, type]));
+
+      assert.deepEqual(byType.returnable, {
+        type: "returnable",
+        assets: 1,
+        totalQuantity: 3,
+        availableQuantity: 2,
+        assigned: 1,
+      });
+      assert.equal(byType["non-returnable"].assigned, 0);
+    });
+
+    it("ranks the most requested assets", async () => {
+      const { body } = await hr.get("/analytics/top-requested?limit=1");
+      assert.deepEqual(body, [
+        { assetId: laptop, assetName: "Laptop", requests: 2 },
+      ]);
+      expectStatus(await hr.get("/analytics/top-requested?limit=0"), 400);
+    });
+
+    it("counts request outcomes per period", async () => {
+      const { body } = await hr.get("/analytics/request-volume?interval=day");
+      assert.equal(body.length, 1);
+      assert.equal(body[0].total, 3);
+      assert.equal(body[0].approved, 1);
+      assert.equal(body[0].rejected, 1);
+      assert.equal(body[0].pending, 1);
+      assert.equal(body[0].approvalRate, 0.5);
+
+      expectStatus(
+        await hr.get("/analytics/request-volume?interval=year"),
+        400
+      );
+      expectStatus(await hr.get("/analytics/request-volume?from=soon"), 400);
+    });
+
+    it("measures approval time", async () => {
+      const { body } = await hr.get("/analytics/approval-time");
+      assert.equal(body.approvedRequests, 1);
+      assert.ok(body.averageHours >= 0);
+    });
+
+    it("lists assets running low", async () => {
+      const { body } = await hr.get("/analytics/low-stock?threshold=2");
+      assert.deepEqual(
+        body.map((asset) => asset.productName),
+        ["Laptop"]
+      );
+    });
+
+    it("reports package usage", async () => {
+      const { body } = await hr.get("/analytics/package-usage");
+      assert.deepEqual(body, {
+        currentEmployees: 2,
+        packageLimit: 5,
+        activeEmployees: 2,
+        remaining: 3,
+      });
+    });
+
+    it("is only for HRs", async () => {
+      expectStatus(await employee.get("/analytics/asset-types"), 403);
+    });
+  });
+
+  describe("audit log", () => {
+    it("filters the company's trail", async () => {
+      const requests = await hr.get("/audit-log?targetType=request");
+      assert.deepEqual(requests.body.logs.map((log) => log.action).sort(), [
+        "request.approve",
+        "request.create",
+        "request.create",
+        "request.create",
+        "request.reject",
+      ]);
+
+      const asset = await hr.get(
+        `/audit-log?targetType=asset&targetId=${laptop}`
+      );
+      assert.equal(asset.body.total, 1);
+      assert.equal(asset.body.logs[0].action, "asset.create");
+      assert.equal(asset.body.logs[0].actor, team.hr.email);
+
+      const byEmployee = await hr.get(
+        `/audit-log?actor=${team.employees[0].email}&limit=1`
+      );
+      assert.equal(byEmployee.body.logs.length, 1);
+
+      const future = await hr.get(
+        `/audit-log?from=${new Date(Date.now() + 60000).toISOString()}`
+      );
+      assert.equal(future.body.total, 0);
+
+      expectStatus(await hr.get("/audit-log?to=yesterday"), 400);
+      expectStatus(await hr.get("/audit-log?limit=abc"), 400);
+    });
+
+    it("never shows another company's entries", async () => {
+      const other = await createTeam(t.app, {
+        employees: 0,
+        hr: {
+          name: "HR 2",
+          email: "hr2@company2.test",
+          role: "hr",
+          companyName: "Company 2",
+        },
+      });
+
+      const { body } = await as(t.app, other.hr.email).get("/audit-log");
+      assert.ok(body.logs.every((log) => log.hrEmail === other.hr.email));
+    });
+  });
+});
@@ -0,0 +1,415 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startDatabase,
+  createTestApp,
+  createRecordingMailer,
+  as,
+  expectStatus,
+  hrUser,
+  employeeUser,
+  signUp,
+  addAsset,
+  createTeam,
+} = require("./helpers");
+
+describe("asset requests and assignments", () => {
+  let database;
+  let t;
+  let team;
+  let hr;
+  let employee;
+  let assetId;
+  let mailer;
+
+  const requestAsset = async (body = {}) => {
+    const res = await employee
+      .post("/asset-requests")
+      .send({ assetId, ...body });
+    expectStatus(res, 201);
+    return res.body.insertedId;
+  };
+
+  const findAsset = () =>
+    t.collections.assets.findOne({}, { sort: { dateAdded: 1 } });
+
+  before(async () => {
+    database = await startDatabase();
+  });
+  after(() => database.stop());
+  beforeEach(async () => {
+    mailer = createRecordingMailer();
+    t = await createTestApp(database.client, { mailer });
+    team = await createTeam(t.app, { employees: 2 });
+    hr = as(t.app, team.hr.email);
+    employee = as(t.app, team.employees[0].email);
+    assetId = await addAsset(t.app, team.hr.email, { productQuantity: 2 });
+    // drop the invitations of createTeam
+    await mailer.idle();
+    mailer.sent.length = 0;
+  });
+
+  describe("requesting", () => {
+    it("stores a pending request with server side fields", async () => {
+      await requestAsset({ note: "For the new project" });
+
+      const request = await t.collections.requests.findOne({});
+      assert.equal(request.requestStatus, "pending");
+      assert.equal(request.assetName, "Laptop");
+      assert.equal(request.requesterName, "Employee 1");
+      assert.equal(request.hrEmail, team.hr.email);
+      assert.equal(request.companyName, "Company 1");
+
+      const { body } = await hr.get(`/asset-requests/${team.hr.email}`);
+      assert.equal(body.total, 1);
+
+      const notification = await t.collections.notifications.findOne({
+        recipientEmail: team.hr.email,
+        type: "request.created",
+      });
+      assert.ok(notification);
+    });
+
+    it("accepts the whole record older clients send", async () => {
+      await requestAsset({
+        assetName: "Gold Bar",
+        assetImage: "https://example.com/gold.png",
+        assetType: "Non-returnable",
+        requesterName: "Someone Else",
+        requesterEmail: team.employees[1].email,
+        hrEmail: "other-hr@mail.test",
+        companyName: "Other Company",
+        requestDate: "2020-01-01T00:00:00.000Z",
+        approvalDate: null,
+        requestStatus: "approved",
+      });
+
+      const request = await t.collections.requests.findOne({});
+      assert.equal(request.assetName, "Laptop");
+      assert.equal(request.requesterEmail, team.employees[0].email);
+      assert.equal(request.hrEmail, team.hr.email);
+      assert.equal(request.companyName, "Company 1");
+      assert.equal(request.requestStatus, "pending");
+      assert.notEqual(request.requestDate, "2020-01-01T00:00:00.000Z");
+    });
+
+    it("only accepts requests from active members", async () => {
+      await signUp(t.app, employeeUser(9));
+      const res = await as(t.app, employeeUser(9).email)
+        .post("/asset-requests")
+        .send({ assetId });
+      expectStatus(res, 403);
+    });
+
+    it("blocks a second open request for the same asset", async () => {
+      await requestAsset();
+      const res = await employee.post("/asset-requests").send({ assetId });
+      expectStatus(res, 409);
+    });
+
+    it("allows a new request once the old one was rejected", async () => {
+      const requestId = await requestAsset();
+      expectStatus(
+        await hr.patch(`/reject-employee-requests/${requestId}`),
+        200
+      );
+      await requestAsset();
+    });
+
+    it("lists and cancels the employee's own requests", async () => {
+      const requestId = await requestAsset();
+
+      const { body } = await employee.get("/my-requests?status=pending");
+      assert.equal(body.total, 1);
+      expectStatus(await employee.get("/my-requests?status=lost"), 400);
+
+      const other = as(t.app, team.employees[1].email);
+      expectStatus(await other.delete(`/my-requests/${requestId}`), 404);
+
+      expectStatus(await employee.delete(`/my-requests/${requestId}`), 200);
+      expectStatus(await employee.delete(`/my-requests/${requestId}`), 409);
+
+      const request = await t.collections.requests.findOne({});
+      assert.equal(request.requestStatus, "cancelled");
+
+      // a cancelled request can not be approved any more
+      expectStatus(
+        await hr.patch(`/approve-employee-requests/${requestId}`),
+        409
+      );
+    });
+  });
+
+  describe("approval", () => {
+    it("assigns a unit and marks the request approved", async () => {
+      const requestId = await requestAsset();
+
+      const res = await hr.patch(`/approve-employee-requests/${requestId}`);
+      expectStatus(res, 200);
+
+      const request = await t.collections.requests.findOne({});
+      assert.equal(request.requestStatus, "approved");
+      assert.ok(request.approvalDate);
+
+      const assignment = await t.collections.assignedAssets.findOne({});
+      assert.equal(assignment.status, "assigned");
+      assert.equal(assignment.employeeEmail, team.employees[0].email);
+      assert.equal(assignment.requestId, requestId);
+
+      assert.equal((await findAsset()).availableQuantity, 1);
+
+      const { body } = await employee.get(
+        `/my-assets/${team.employees[0].email}`
+      );
+      assert.equal(body.length, 1);
+
+      await mailer.idle();
+      assert.deepEqual(
+        mailer.sent.map((email) => [email.to, email.subject]),
+        [[team.employees[0].email, "Your request for Laptop was approved"]]
+      );
+    });
+
+    it("approves a request only once", async () => {
+      const requestId = await requestAsset();
+
+      const results = await Promise.all([
+        hr.patch(`/approve-employee-requests/${requestId}`),
+        hr.patch(`/approve-employee-requests/${requestId}`),
+      ]);
+      assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+
+      assert.equal(await t.collections.assignedAssets.countDocuments(), 1);
+      assert.equal((await findAsset()).availableQuantity, 1);
+    });
+
+    it("rolls back when the asset is out of stock", async () => {
+      const first = await requestAsset();
+      const second = await as(t.app, team.employees[1].email)
+        .post("/asset-requests")
+        .send({ assetId });
+
+      await t.collections.assets.updateOne(
+        {},
+        { $set: { availableQuantity: 1 } }
+      );
+
+      expectStatus(await hr.patch(`/approve-employee-requests/${first}`), 200);
+      const res = await hr.patch(
+        `/approve-employee-requests/${second.body.insertedId}`
+      );
+      expectStatus(res, 409);
+      assert.equal(res.body.message, "Asset Not Available");
+
+      const request = await t.collections.requests.findOne({
+        requesterEmail: team.employees[1].email,
+      });
+      assert.equal(request.requestStatus, "pending");
+    });
+
+    it("does not approve requests of another company", async () => {
+      const requestId = await requestAsset();
+      await signUp(t.app, hrUser(2));
+
+      const res = await as(t.app, hrUser(2).email).patch(
+        `/approve-employee-requests/${requestId}`
+      );
+      expectStatus(res, 404);
+    });
+  });
+
+  describe("rejection", () => {
+    it("sets the rejected status itself", async () => {
+      const requestId = await requestAsset();
+
+      expectStatus(
+        await hr
+          .patch(`/reject-employee-requests/${requestId}`)
+          .send({ requestStatus: "approved" }),
+        400
+      );
+      expectStatus(
+        await hr.patch(`/reject-employee-requests/${requestId}`).send({}),
+        200
+      );
+
+      const request = await t.collections.requests.findOne({});
+      assert.equal(request.requestStatus, "rejected");
+      assert.ok(request.rejectionDate);
+      assert.equal(await t.collections.assignedAssets.countDocuments(), 0);
+
+      await mailer.idle();
+      assert.deepEqual(
+        mailer.sent.map((email) => [email.to, email.subject]),
+        [[team.employees[0].email, "Your request for Laptop was rejected"]]
+      );
+    });
+
+    it("does not reject a request that was already approved", async () => {
+      const requestId = await requestAsset();
+      await hr.patch(`/approve-employee-requests/${requestId}`);
+
+      expectStatus(
+        await hr.patch(`/reject-employee-requests/${requestId}`),
+        409
+      );
+    });
+  });
+
+  describe("direct assignment", () => {
+    it("assigns to an active member", async () => {
+      const res = await hr.post("/assigned-assets").send({
+        assetId,
+        employeeEmail: team.employees[1].email,
+        employeeName: "Employee 2",
+      });
+      expectStatus(res, 201);
+      assert.equal((await findAsset()).availableQuantity, 1);
+
+      await mailer.idle();
+      assert.deepEqual(
+        mailer.sent.map((email) => [email.to, email.subject]),
+        [[team.employees[1].email, "Laptop was assigned to you"]]
+      );
+    });
+
+    it("accepts the body older clients send", async () => {
+      await signUp(t.app, hrUser(2));
+      const res = await hr.post("/assigned-assets").send({
+        assetId,
+        employeeEmail: team.employees[1].email,
+        employeeName: "Employee 2",
+        companyName: "Company 1",
+        hrEmail: hrUser(2).email,
+        assetName: "Gold Bar",
+        assetImage: "https://example.com/gold.png",
+        assetType: "Non-returnable",
+        assignmentDate: "2020-01-01T00:00:00.000Z",
+        returnDate: null,
+        status: "returned",
+      });
+      expectStatus(res, 201);
+
+      const assignment = await t.collections.assignedAssets.findOne({});
+      assert.equal(assignment.hrEmail, team.hr.email);
+      assert.equal(assignment.assetName, "Laptop");
+      assert.equal(assignment.assetType, "Returnable");
+      assert.equal(assignment.status, "assigned");
+      assert.notEqual(assignment.assignmentDate, "2020-01-01T00:00:00.000Z");
+    });
+
+    it("refuses people outside the company", async () => {
+      await signUp(t.app, employeeUser(9));
+      const res = await hr.post("/assigned-assets").send({
+        assetId,
+        employeeEmail: employeeUser(9).email,
+      });
+      expectStatus(res, 409);
+      assert.equal((await findAsset()).availableQuantity, 2);
+    });
+
+    it("does not hand the same asset twice to one employee", async () => {
+      const body = { assetId, employeeEmail: team.employees[0].email };
+      expectStatus(await hr.post("/assigned-assets").send(body), 201);
+
+      const res = await hr.post("/assigned-assets").send(body);
+      expectStatus(res, 409);
+      assert.equal(res.body.message, "Asset Already Assigned");
+    });
+  });
+
+  describe("returns", () => {
+    let assignmentId;
+    let requestId;
+
+    beforeEach(async () => {
+      requestId = await requestAsset();
+      await hr.patch(`/approve-employee-requests/${requestId}`);
+      assignmentId = (await t.collections.assignedAssets.findOne({}))._id;
+    });
+
+    it("puts a good unit back into stock and closes the request", async () => {
+      expectStatus(
+        await employee.patch(`/return-asset/${assignmentId}`).send({}),
+        200
+      );
+      expectStatus(
+        await hr.patch(`/confirm-asset-return/${assignmentId}`).send({}),
+        200
+      );
+
+      assert.equal((await findAsset()).availableQuantity, 2);
+
+      const request = await t.collections.requests.findOne({});
+      assert.equal(request.requestStatus, "returned");
+
+      // returned requests do not block a new one
+      await requestAsset();
+    });
+
+    it("writes off a damaged unit", async () => {
+      await employee
+        .patch(`/return-asset/${assignmentId}`)
+        .send({ condition: "damaged", note: "Screen cracked" });
+      await hr.patch(`/confirm-asset-return/${assignmentId}`).send({});
+
+      const asset = await findAsset();
+      assert.equal(asset.availableQuantity, 1);
+      assert.equal(asset.writtenOffQuantity, 1);
+
+      const adjustment = await t.collections.stockAdjustments.findOne({});
+      assert.equal(adjustment.type, "damaged");
+      assert.equal(adjustment.reason, "Screen cracked");
+
+      const { body } = await hr.get(`/assets/${assetId}/stock-history`);
+      assert.equal(body.stock.consistent, true);
+    });
+
+    it("can confirm again when a confirmation failed halfway", async () => {
+      await employee.patch(`/return-asset/${assignmentId}`).send({});
+
+      // closing the request fails once, after the unit went back into stock
+      const { updateOne } = t.collections.requests;
+      t.collections.requests.updateOne = async () => {
+        t.collections.requests.updateOne = updateOne;
+        throw new Error("Connection reset");
+      };
+      expectStatus(
+        await hr.patch(`/confirm-asset-return/${assignmentId}`).send({}),
+        500
+      );
+      assert.equal((await findAsset()).availableQuantity, 1);
+
+      expectStatus(
+        await hr.patch(`/confirm-asset-return/${assignmentId}`).send({}),
+        200
+      );
+      assert.equal((await findAsset()).availableQuantity, 2);
+      const request = await t.collections.requests.findOne({});
+      assert.equal(request.requestStatus, "returned");
+    });
+
+    it("only confirms pending returns", async () => {
+      expectStatus(
+        await hr.patch(`/confirm-asset-return/${assignmentId}`).send({}),
+        409
+      );
+    });
+
+    it("does not take back non-returnable assets", async () => {
+      const consumableId = await addAsset(t.app, team.hr.email, {
+        productName: "Notebook",
+        productType: "Non-returnable",
+      });
+      const res = await hr.post("/assigned-assets").send({
+        assetId: consumableId,
+        employeeEmail: team.employees[0].email,
+      });
+
+      expectStatus(
+        await employee.patch(`/return-asset/${res.body.insertedId}`).send({}),
+        400
+      );
+    });
+  });
+});
@@ -0,0 +1,209 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  createTestApp,
+  as,
+  expectStatus,
+  hrUser,
+  employeeUser,
+  signUp,
+  createTeam,
+  addAsset,
+} = require("./helpers");
+const { rateLimitsFromEnv, createMemoryStore } = require("../lib/rateLimits");
+
+const perMinute = (max) => ({ max, windowMs: 60 * 1000 });
+
+describe("abuse protection", () => {
+  let database;
+
+  before(async () => {
+    database = await startDatabase();
+  });
+  after(() => database.stop());
+
+  describe("rate limits", () => {
+    it("limits sign ups per IP", async () => {
+      const t = await createTestApp(database.client, {
+        rateLimits: { signUp: perMinute(2) },
+      });
+
+      await signUp(t.app, hrUser(1));
+      await signUp(t.app, hrUser(2));
+      const res = await request(t.app).post("/users").send(hrUser(3));
+
+      expectStatus(res, 429);
+      assert.deepEqual(res.body, {
+        message: "Too Many Requests",
+        code: "RATE_LIMITED",
+        requestId: res.headers["x-request-id"],
+      });
+      assert.equal(res.headers["ratelimit-limit"], "2");
+      assert.equal(res.headers["ratelimit-remaining"], "0");
+      assert.ok(Number(res.headers["retry-after"]) > 0);
+      assert.equal(await t.collections.users.countDocuments(), 2);
+      assert.ok(
+        t.logs.some(
+          (entry) =>
+            entry.msg === "Rate limit exceeded" && entry.limit === "signUp"
+        )
+      );
+    });
+
+    it("answers browsers with CORS headers and leaves preflights alone", async () => {
+      const t = await createTestApp(database.client, {
+        rateLimits: { ip: perMinute(1) },
+      });
+      const origin = "http://localhost:5173";
+
+      const preflight = await request(t.app)
+        .options("/users")
+        .set("Origin", origin)
+        .set("Access-Control-Request-Method", "POST");
+      assert.equal(preflight.headers["access-control-allow-origin"], origin);
+
+      expectStatus(await request(t.app).get("/").set("Origin", origin), 200);
+      const res = await request(t.app).get("/").set("Origin", origin);
+      expectStatus(res, 429);
+      assert.equal(res.headers["access-control-allow-origin"], origin);
+      assert.match(res.headers["access-control-expose-headers"], /Retry-After/);
+      assert.ok(Number(res.headers["retry-after"]) > 0);
+    });
+
+    it("counts authenticated requests per user", async () => {
+      const t = await createTestApp(database.client, {
+        rateLimits: { user: perMinute(2) },
+      });
+      await signUp(t.app, hrUser());
+      await signUp(t.app, employeeUser());
+      const hr = as(t.app, hrUser().email);
+
+      expectStatus(await hr.get("/users"), 200);
+      expectStatus(await hr.get("/users"), 200);
+      expectStatus(await hr.get("/users"), 429);
+      expectStatus(await as(t.app, employeeUser().email).get("/users"), 200);
+    });
+
+    it("limits asset requests per employee", async () => {
+      const t = await createTestApp(database.client, {
+        rateLimits: { assetRequest: perMinute(1) },
+      });
+      const team = await createTeam(t.app, { employees: 2 });
+      const assetId = await addAsset(t.app, team.hr.email);
+      const requestAsset = (employee) =>
+        as(t.app, employee.email).post("/asset-requests").send({ assetId });
+
+      expectStatus(await requestAsset(team.employees[0]), 201);
+      expectStatus(await requestAsset(team.employees[0]), 429);
+      expectStatus(await requestAsset(team.employees[1]), 201);
+    });
+
+    it("counts in the store it is given", async () => {
+      const keys = [];
+      const memory = createMemoryStore();
+      const t = await createTestApp(database.client, {
+        rateLimitStore: {
+          increment: (key, windowMs) => {
+            keys.push(key);
+            return memory.increment(key, windowMs);
+          },
+        },
+      });
+      await signUp(t.app, hrUser());
+      expectStatus(await as(t.app, hrUser().email).get("/users"), 200);
+
+      assert.ok(keys.some((key) => key.startsWith("signUp:")));
+      assert.ok(keys.includes(`user:${hrUser().email}`));
+    });
+
+    it("lets requests through when the store fails", async () => {
+      const t = await createTestApp(database.client, {
+        rateLimitStore: {
+          increment: async () => {
+            throw new Error("Store unreachable");
+          },
+        },
+      });
+
+      await signUp(t.app, hrUser());
+      assert.ok(
+        t.logs.some((entry) => entry.msg === "Rate limit store failed")
+      );
+    });
+
+    it("turns a limit off with false", async () => {
+      const t = await createTestApp(database.client, {
+        rateLimits: { ip: false, signUp: false },
+      });
+
+      const res = await request(t.app).get("/");
+      expectStatus(res, 200);
+      assert.equal(res.headers["ratelimit-limit"], undefined);
+    });
+  });
+
+  describe("memory store", () => {
+    it("starts a new window once the old one has passed", async () => {
+      let time = 0;
+      const store = createMemoryStore({ now: () => time });
+
+      assert.deepEqual(await store.increment("a", 1000), {
+        count: 1,
+        resetAt: 1000,
+      });
+      assert.equal((await store.increment("a", 1000)).count, 2);
+      assert.equal((await store.increment("b", 1000)).count, 1);
+
+      time = 1000;
+      assert.deepEqual(await store.increment("a", 1000), {
+        count: 1,
+        resetAt: 2000,
+      });
+    });
+  });
+
+  describe("configuration", () => {
+    it("reads limits from the environment", () => {
+      assert.deepEqual(
+        rateLimitsFromEnv({ RATE_LIMIT_SIGN_UP: "5/30", RATE_LIMIT_IP: "off" }),
+        { ip: false, signUp: { max: 5, windowMs: 30 * 60 * 1000 } }
+      );
+      assert.throws(
+        () => rateLimitsFromEnv({ RATE_LIMIT_CHECKOUT: "many" }),
+        /RATE_LIMIT_CHECKOUT/
+      );
+    });
+  });
+
+  describe("requests", () => {
+    it("rejects bodies over the size limit", async () => {
+      const t = await createTestApp(database.client, { bodyLimit: "1kb" });
+
+      const res = await request(t.app)
+        .post("/users")
+        .send({ ...hrUser(), name: "x".repeat(2000) });
+      expectStatus(res, 413);
+      assert.equal(res.body.code, "PAYLOAD_TOO_LARGE");
+      assert.equal(await t.collections.users.countDocuments(), 0);
+    });
+
+    it("sends security headers", async () => {
+      const t = await createTestApp(database.client);
+
+      const res = await request(t.app).get("/users");
+      assert.equal(res.headers["x-powered-by"], undefined);
+      assert.equal(res.headers["x-content-type-options"], "nosniff");
+      assert.equal(res.headers["x-frame-options"], "DENY");
+      assert.match(
+        res.headers["content-security-policy"],
+        /default-src 'none'/
+      );
+
+      // the docs page may load Swagger UI
+      const docs = await request(t.app).get("/docs");
+      assert.match(docs.headers["content-security-policy"], /unpkg\.com/);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  createTestApp,
+  as,
+  expectStatus,
+  hrUser,
+  employeeUser,
+  signUp,
+} = require("./helpers");
+
+describe("users", () => {
+  let database;
+  let t;
+
+  before(async () => {
+    database = await startDatabase();
+  });
+  after(() => database.stop());
+  beforeEach(async () => {
+    t = await createTestApp(database.client);
+  });
+
+  it("creates an employee with the default role", async () => {
+    const res = await request(t.app)
+      .post("/users")
+      .send({ name: "Sam", email: "sam@mail.test" });
+    expectStatus(res, 201);
+
+    const user = await t.collections.users.findOne({ email: "sam@mail.test" });
+    assert.equal(user.role, "employee");
+    assert.equal(user.packageLimit, undefined);
+  });
+
+  it("gives a new HR the default package and a company", async () => {
+    await signUp(t.app, hrUser());
+
+    const { body: hr } = await as(t.app, hrUser().email).get("/users");
+    assert.equal(hr.packageLimit, 5);
+    assert.equal(hr.currentEmployees, 0);
+
+    const company = await t.collections.companies.findOne({
+      hrEmail: hr.email,
+    });
+    assert.equal(company.name, "Company 1");
+    assert.equal(hr.companyId, company._id.toString());
+  });
+
+  it("rejects invalid sign ups", async () => {
+    const missing = await request(t.app).post("/users").send({ name: "x" });
+    expectStatus(missing, 400);
+    assert.equal(missing.body.message, "Validation Failed");
+
+    const admin = await request(t.app)
+      .post("/users")
+      .send({ name: "x", email: "x@mail.test", role: "admin" });
+    expectStatus(admin, 400);
+
+    const noCompany = await request(t.app)
+      .post("/users")
+      .send({ name: "x", email: "x@mail.test", role: "hr" });
+    expectStatus(noCompany, 400);
+    assert.equal(noCompany.body.errors[0].field, "companyName");
+  });
+
+  it("refuses a second account for the same email", async () => {
+    await signUp(t.app, employeeUser());
+    const res = await request(t.app).post("/users").send(employeeUser());
+    expectStatus(res, 409);
+  });
+
+  it("requires a valid token", async () => {
+    expectStatus(await request(t.app).get("/users"), 401);
+    expectStatus(await as(t.app, "not-a-token").get("/users"), 401);
+  });
+
+  it("returns the caller's role and profile", async () => {
+    await signUp(t.app, employeeUser());
+    const api = as(t.app, employeeUser().email);
+
+    const role = await api.get("/user/role");
+    assert.deepEqual(role.body, { role: "employee" });
+
+    const profile = await api.get(`/users/${employeeUser().email}`);
+    expectStatus(profile, 200);
+    assert.equal(profile.body.name, "Employee 1");
+
+    expectStatus(await api.get("/users/someone@mail.test"), 403);
+  });
+
+  it("updates the profile and merges privacy settings", async () => {
+    await signUp(t.app, employeeUser());
+    const api = as(t.app, employeeUser().email);
+
+    expectStatus(
+      await api.patch("/user").send({ privacy: { showEmail: false } }),
+      200
+    );
+    expectStatus(
+      await api.patch("/user").send({ privacy: { showPhoto: false } }),
+      200
+    );
+    expectStatus(await api.patch("/user").send({ name: "Renamed" }), 200);
+
+    const user = await t.collections.users.findOne({
+      email: employeeUser().email,
+    });
+    assert.equal(user.name, "Renamed");
+    assert.deepEqual(user.privacy, { showEmail: false, showPhoto: false });
+
+    expectStatus(await api.patch("/user").send({ role: "hr" }), 400);
+    expectStatus(await api.patch("/user").send({}), 400);
+  });
+
+  describe("role checks", () => {
+    beforeEach(async () => {
+      await signUp(t.app, hrUser());
+      await signUp(t.app, employeeUser());
+    });
+
+    it("keeps employees out of HR routes", async () => {
+      const res = await as(t.app, employeeUser().email).get("/seats");
+      expectStatus(res, 403);
+      assert.equal(res.body.message, "Only HR actions");
+    });
+
+    it("keeps HRs out of employee routes", async () => {
+      const res = await as(t.app, hrUser().email).get("/my-requests");
+      expectStatus(res, 403);
+      assert.equal(res.body.message, "Only employee actions");
+    });
+
+    it("treats unknown users as neither role", async () => {
+      const api = as(t.app, "stranger@mail.test");
+      expectStatus(await api.get("/seats"), 403);
+      expectStatus(await api.get("/my-requests"), 403);
+    });
+
+    it("keeps everyone but admins out of the catalog", async () => {
+      expectStatus(await as(t.app, hrUser().email).get("/admin/packages"), 403);
+    });
+
+    it("rejects :email params of other users", async () => {
+      const res = await as(t.app, hrUser().email).get(
+        "/company-assets/other@company.test"
+      );
+      expectStatus(res, 403);
+    });
+
+    it("rejects malformed :id params", async () => {
+      const res = await as(t.app, hrUser().email)
+        .patch("/assets/not-an-id")
+        .send({ productName: "x" });
+      expectStatus(res, 400);
+      assert.equal(res.body.errors[0].field, "id");
+    });
+  });
+});